@@ -0,0 +1,107 @@
+// ======= BOSS RING MODULE =======
+// Set-piece rings at milestone depths (every boss.every rings in Endless, see
+// modes/endless.js). A boss ring cycles through scripted phases once the ball lands in
+// it: the gap flees from the ball, rotating arms sweep the ring, then both.
+// Tuning comes from the difficulty profile (boss section, see data/difficulty.json).
+
+const TWO_PI = Math.PI * 2;
+
+function rand(rng, a, b) { return a + rng() * (b - a); }
+
+function angNorm(a) {
+  a %= TWO_PI;
+  if (a < -Math.PI) a += TWO_PI;
+  if (a > Math.PI) a -= TWO_PI;
+  return a;
+}
+
+// ======= PHASES =======
+// tracking: gap moves away from the ball; arms: rotating arms are solid
+const BOSS_PHASES = [
+  { id: 'evade', label: 'Evade', tracking: true, arms: false },
+  { id: 'arms', label: 'Arms', tracking: false, arms: true },
+  { id: 'frenzy', label: 'Frenzy', tracking: true, arms: true }
+];
+
+/**
+ * Check if ring i is a boss ring
+ * @param {number} i - Ring index
+ * @param {object} config - Difficulty profile boss section
+ */
+export function isBossIndex(i, config) {
+  return i > 0 && i % config.every === 0;
+}
+
+/**
+ * Roll the parameters for boss ring i (same shape as rollRingParams, plus `boss`)
+ * @param {function} rng - Random source returning [0, 1)
+ * @param {number} i - Ring index
+ * @param {object} difficulty - Difficulty profile
+ * @returns {object} Ring parameters
+ */
+export function rollBossRing(rng, i, difficulty) {
+  const config = difficulty.boss;
+  const gapCenter = rand(rng, 0, TWO_PI);
+  const rotSpeed = (rng() < 0.5 ? -1 : 1) * difficulty.rings.speedMin;
+
+  return {
+    gapCenter,
+    gapWidth: difficulty.rings.gapWidth * config.gapFactor,
+    rotSpeed,
+    drift: 0,
+    driftPhase: 0,
+    shape: null,
+    obstacle: null,
+    pickup: null,
+    boss: {
+      armPhase: rand(rng, 0, TWO_PI),
+      armDir: rng() < 0.5 ? -1 : 1
+    }
+  };
+}
+
+/**
+ * Phase for time elapsed since the boss fight started (phases loop)
+ * @returns {object} { id, label, tracking, arms }
+ */
+export function getBossPhase(elapsed, config) {
+  const index = Math.floor(elapsed / config.phaseDuration) % BOSS_PHASES.length;
+  return BOSS_PHASES[index];
+}
+
+/**
+ * Rotation speed of the boss ring's gap (rad/s)
+ * In tracking phases the gap runs away from the ball at a fraction of the ball's
+ * orbit speed (so the ball always gains on it); otherwise it turns at rotSpeed.
+ */
+export function getBossGapSpeed(ring, phase, ballAngle, orbitSpeed, config) {
+  if (!phase.tracking) return ring.rotSpeed;
+  const away = angNorm(ring.gapCenter - ballAngle);
+  return (away >= 0 ? 1 : -1) * orbitSpeed * config.trackFactor;
+}
+
+/**
+ * Arcs covered by the rotating arms
+ * @param {object} boss - Boss params from rollBossRing
+ * @param {object} config - Difficulty profile boss section
+ * @param {number} elapsed - Seconds since the fight started
+ * @returns {array} [{ angle, width }]
+ */
+export function getBossArms(boss, config, elapsed) {
+  const arms = [];
+  const base = boss.armPhase + boss.armDir * config.armSpeed * elapsed;
+  for (let k = 0; k < config.armCount; k++) {
+    arms.push({ angle: base + k * TWO_PI / config.armCount, width: config.armWidth });
+  }
+  return arms;
+}
+
+/**
+ * Check if the ball at ballAngle touches one of the arms
+ */
+export function bossArmsHit(boss, config, elapsed, ballAngle) {
+  for (const arm of getBossArms(boss, config, elapsed)) {
+    if (Math.abs(angNorm(ballAngle - arm.angle)) <= arm.width * 0.5) return true;
+  }
+  return false;
+}
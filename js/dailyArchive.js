@@ -0,0 +1,70 @@
+// ======= DAILY ARCHIVE MODULE =======
+// Per-day Daily Orbit results (playerData.dailyResults, keyed by YYYY-MM-DD) and
+// the calendar of past days. Any past Daily can be replayed from its regenerated
+// pattern (modes/daily.js buildDailyPattern); those archive runs are practice
+// and never change the stored results, streaks or missions.
+
+import { addDays, getWeekday, formatDayLabel } from './dates.js';
+
+export const ARCHIVE_DAYS = 28;       // Days shown on the calendar (today included)
+const MAX_STORED_DAYS = 366;          // Oldest results are dropped past this
+
+/**
+ * Stored result for a date
+ * @returns {object|null} { attempts, completed, bestRings, bestTime_ms }
+ */
+export function getDailyResult(playerData, dateId) {
+  return playerData.dailyResults[dateId] || null;
+}
+
+/**
+ * Fold a Daily run into its date's result (best rings, fastest completion)
+ * @param {object} result - { rings, time_ms, completed }
+ */
+export function recordDailyResult(playerData, dateId, result) {
+  const day = getDailyResult(playerData, dateId) || { attempts: 0, completed: false, bestRings: 0, bestTime_ms: null };
+
+  day.attempts++;
+  day.bestRings = Math.max(day.bestRings, result.rings);
+  if (result.completed) {
+    const time = Math.round(result.time_ms);
+    day.completed = true;
+    day.bestTime_ms = day.bestTime_ms === null ? time : Math.min(day.bestTime_ms, time);
+  }
+  playerData.dailyResults[dateId] = day;
+
+  // Date IDs sort chronologically as strings
+  const stored = Object.keys(playerData.dailyResults).sort();
+  for (const oldId of stored.slice(0, Math.max(0, stored.length - MAX_STORED_DAYS))) {
+    delete playerData.dailyResults[oldId];
+  }
+  return day;
+}
+
+/**
+ * Calendar days, oldest first, ending today
+ * @returns {array} [{ dateId, label, weekday (0 = Monday), today, result }]
+ */
+export function getArchiveDays(playerData, todayId, count = ARCHIVE_DAYS) {
+  const days = [];
+  for (let back = count - 1; back >= 0; back--) {
+    const dateId = addDays(todayId, -back);
+    days.push({
+      dateId,
+      label: formatDayLabel(dateId),
+      weekday: getWeekday(dateId),
+      today: back === 0,
+      result: getDailyResult(playerData, dateId)
+    });
+  }
+  return days;
+}
+
+/**
+ * One-line summary of a day's result
+ */
+export function formatDailyResult(result) {
+  if (!result) return 'Not played';
+  if (result.completed) return `✓ ${(result.bestTime_ms / 1000).toFixed(1)}s`;
+  return `${result.bestRings} ring${result.bestRings === 1 ? '' : 's'}`;
+}
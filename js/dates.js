@@ -0,0 +1,80 @@
+// ======= DATE MODULE =======
+// Calendar days for the Daily Orbit, missions and streaks. A day is identified by
+// a YYYY-MM-DD date ID everywhere. Days start at local midnight, or with the 'utc'
+// reset at midnight UTC (the same day for every player). Arithmetic on date IDs is
+// done in UTC, so DST changes can't skip or repeat a day.
+
+export const DAY_RESETS = ['local', 'utc'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Check if value is a YYYY-MM-DD date ID
+ */
+export function isDateId(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && toUtcDate(value).toISOString().startsWith(value);
+}
+
+function toUtcDate(dateId) {
+  const [year, month, day] = dateId.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * Today's date ID
+ * @param {string} [reset] - 'local' (local midnight) or 'utc' (midnight UTC)
+ * @param {Date} [now]
+ */
+export function getTodayId(reset = 'local', now = new Date()) {
+  if (reset === 'utc') {
+    return `${now.getUTCFullYear()}-${pad(now.getUTCMonth() + 1)}-${pad(now.getUTCDate())}`;
+  }
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * Date ID a number of days after (negative: before) another
+ */
+export function addDays(dateId, days) {
+  const date = new Date(toUtcDate(dateId).getTime() + days * DAY_MS);
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+/**
+ * Whole days from one date ID to another (negative if toId is earlier)
+ */
+export function daysBetween(fromId, toId) {
+  return Math.round((toUtcDate(toId).getTime() - toUtcDate(fromId).getTime()) / DAY_MS);
+}
+
+/**
+ * Day of the week for a date ID (0 = Monday)
+ */
+export function getWeekday(dateId) {
+  return (toUtcDate(dateId).getUTCDay() + 6) % 7;
+}
+
+/**
+ * Short label for a date ID, e.g. "Oct 12"
+ */
+export function formatDayLabel(dateId) {
+  const date = toUtcDate(dateId);
+  return `${MONTHS[date.getUTCMonth()]} ${date.getUTCDate()}`;
+}
+
+/**
+ * Milliseconds until the next day starts
+ * @param {string} [reset] - 'local' or 'utc' (see getTodayId)
+ * @param {Date} [now]
+ */
+export function msUntilNextDay(reset = 'local', now = new Date()) {
+  const next = reset === 'utc'
+    ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+    : new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime();
+  return next - now.getTime();
+}
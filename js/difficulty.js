@@ -0,0 +1,138 @@
+// ======= DIFFICULTY PROFILE MODULE =======
+// Speed curves, gap widths, ring timers, ring/obstacle ramps and boss tuning per difficulty tier,
+// loaded from data/difficulty.json so they can be tuned without touching code.
+// Each mode maps its tiers ('normal', 'expert') to a profile ID.
+
+let profilesCache = null;
+
+/**
+ * Load difficulty profiles from JSON file
+ */
+export async function loadDifficultyProfiles() {
+  try {
+    const response = await fetch('./data/difficulty.json');
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    profilesCache = await response.json();
+    console.log('[Difficulty] Loaded profiles:', Object.keys(profilesCache.profiles));
+  } catch (e) {
+    console.error('[Difficulty] Failed to load difficulty.json:', e);
+    profilesCache = getDefaultProfiles();
+  }
+  return profilesCache;
+}
+
+/**
+ * Fallback profiles (in case JSON fails to load, or when running headless)
+ */
+function getDefaultProfiles() {
+  return {
+    modes: {},
+    profiles: {
+      normal: {
+        label: 'Normal',
+        ball: { baseSpeed: 1.15, speedPerRing: 0.018, maxSpeed: 3.5, pressureSlowdown: 0.45 },
+        rings: {
+          speedMin: 0.40, speedMax: 1.05, speedPerIndex: 0.06, speedCap: 3.0, gapWidth: 0.56, driftMax: 0.055,
+          types: {
+            breathing: { startRing: 8, chanceAtRampStart: 0.08, maxChance: 0.15, rampStartRing: 8, rampRings: 200 },
+            reversing: { startRing: 12, chanceAtRampStart: 0.06, maxChance: 0.12, rampStartRing: 12, rampRings: 200 },
+            multiGap: { startRing: 18, chanceAtRampStart: 0.05, maxChance: 0.10, rampStartRing: 18, rampRings: 200 },
+            phased: { startRing: 25, chanceAtRampStart: 0.05, maxChance: 0.10, rampStartRing: 25, rampRings: 200 }
+          }
+        },
+        timer: { maxRingTime: 7.5, decreasePerRing: 0.06, minRingTime: 2.6 },
+        pressure: { decayRate: 0.06 },
+        obstacles: {
+          ringSpeedFactor: 0.5,
+          types: {
+            static: { startRing: 5, chanceAtRampStart: 0.30, maxChance: 0.70, rampStartRing: 50, rampRings: 200 },
+            periodic: { startRing: 15, chanceAtRampStart: 0.08, maxChance: 0.15, rampStartRing: 15, rampRings: 200 },
+            pulsing: { startRing: 20, chanceAtRampStart: 0.08, maxChance: 0.15, rampStartRing: 20, rampRings: 200 },
+            orbiting: { startRing: 30, chanceAtRampStart: 0.06, maxChance: 0.12, rampStartRing: 30, rampRings: 200 },
+            paired: { startRing: 40, chanceAtRampStart: 0.05, maxChance: 0.10, rampStartRing: 40, rampRings: 200 }
+          }
+        },
+        pickups: {
+          startRing: 3,
+          chance: 0.14,
+          weights: { shield: 1, slowmo: 1, vent: 1, widen: 1 },
+          slowmoDuration: 4.0,
+          slowmoFactor: 0.6,
+          ventAmount: 0.5,
+          widenRings: 3,
+          widenFactor: 1.35
+        },
+        boss: { every: 25, gapFactor: 1.0, trackFactor: 0.75, armCount: 2, armSpeed: 1.1, armWidth: 0.30, phaseDuration: 4.0, timeLimit: 14.0 },
+        escape: { singleTween: 0.12, chainTween: 0.15, chainTweenPerRing: 0.05, maxTween: 0.4 }
+      },
+      expert: {
+        label: 'Expert',
+        ball: { baseSpeed: 1.45, speedPerRing: 0.025, maxSpeed: 3.5, pressureSlowdown: 0.45 },
+        rings: {
+          speedMin: 0.40, speedMax: 1.35, speedPerIndex: 0.06, speedCap: 3.0, gapWidth: 0.42, driftMax: 0.085,
+          types: {
+            breathing: { startRing: 6, chanceAtRampStart: 0.10, maxChance: 0.18, rampStartRing: 6, rampRings: 150 },
+            reversing: { startRing: 8, chanceAtRampStart: 0.08, maxChance: 0.15, rampStartRing: 8, rampRings: 150 },
+            multiGap: { startRing: 12, chanceAtRampStart: 0.06, maxChance: 0.12, rampStartRing: 12, rampRings: 150 },
+            phased: { startRing: 15, chanceAtRampStart: 0.06, maxChance: 0.12, rampStartRing: 15, rampRings: 150 }
+          }
+        },
+        timer: { maxRingTime: 6.0, decreasePerRing: 0.08, minRingTime: 2.6 },
+        pressure: { decayRate: 0.08 },
+        obstacles: {
+          ringSpeedFactor: 0.5,
+          types: {
+            static: { startRing: 5, chanceAtRampStart: 0.30, maxChance: 0.70, rampStartRing: 50, rampRings: 200 },
+            periodic: { startRing: 10, chanceAtRampStart: 0.10, maxChance: 0.18, rampStartRing: 10, rampRings: 150 },
+            pulsing: { startRing: 12, chanceAtRampStart: 0.10, maxChance: 0.18, rampStartRing: 12, rampRings: 150 },
+            orbiting: { startRing: 20, chanceAtRampStart: 0.08, maxChance: 0.15, rampStartRing: 20, rampRings: 150 },
+            paired: { startRing: 25, chanceAtRampStart: 0.06, maxChance: 0.12, rampStartRing: 25, rampRings: 150 }
+          }
+        },
+        pickups: {
+          startRing: 3,
+          chance: 0.10,
+          weights: { shield: 1, slowmo: 1, vent: 1, widen: 1 },
+          slowmoDuration: 4.0,
+          slowmoFactor: 0.6,
+          ventAmount: 0.5,
+          widenRings: 3,
+          widenFactor: 1.35
+        },
+        boss: { every: 25, gapFactor: 0.9, trackFactor: 0.8, armCount: 3, armSpeed: 1.4, armWidth: 0.30, phaseDuration: 3.5, timeLimit: 12.0 },
+        escape: { singleTween: 0.10, chainTween: 0.12, chainTweenPerRing: 0.05, maxTween: 0.4 }
+      }
+    }
+  };
+}
+
+/**
+ * Get a profile by ID
+ * @param {string} profileId - Profile ID from difficulty.json
+ * @returns {object|null} Profile with its id, or null if unknown
+ */
+export function getProfileById(profileId) {
+  const data = profilesCache || getDefaultProfiles();
+  const profile = data.profiles[profileId];
+  return profile ? { id: profileId, ...profile } : null;
+}
+
+/**
+ * Get the difficulty profile a mode uses for a tier
+ * @param {string} modeId - Mode ID
+ * @param {boolean} expert - Expert tier
+ * @returns {object} Profile (falls back to the built-in tier profile)
+ */
+export function getDifficultyProfile(modeId, expert) {
+  const data = profilesCache || getDefaultProfiles();
+  const tier = expert ? 'expert' : 'normal';
+  const profileId = (data.modes[modeId] && data.modes[modeId][tier]) || tier;
+
+  const profile = getProfileById(profileId);
+  if (profile) return profile;
+
+  console.warn(`[Difficulty] Unknown profile "${profileId}" for ${modeId}, using built-in ${tier}`);
+  return { id: tier, ...getDefaultProfiles().profiles[tier] };
+}
@@ -0,0 +1,275 @@
+// ======= LEVEL EDITOR MODULE =======
+// Editing operations on custom levels (see levels.js for the format). No DOM:
+// script.js owns the editor screen and renders the level with the game's own
+// drawing code; everything here takes a normalized level and returns a new one.
+
+import { LEVEL_FORMAT, normalizeLevel } from './levels.js';
+
+const TWO_PI = Math.PI * 2;
+
+function angNorm(a) {
+  a %= TWO_PI;
+  if (a < -Math.PI) a += TWO_PI;
+  if (a > Math.PI) a -= TWO_PI;
+  return a;
+}
+
+function angWrap(a) {
+  a %= TWO_PI;
+  return a < 0 ? a + TWO_PI : a;
+}
+
+// Parameters a ring attachment starts with when its type is picked in the editor.
+// A new obstacle, ring or pickup type needs an entry here to be placeable.
+export const EDITOR_DEFAULTS = {
+  obstacle: {
+    static: { offset: Math.PI },
+    orbiting: { startAngle: 0, speed: 0.8 },
+    pulsing: { offset: Math.PI, phase: 0, frequency: 2.0 },
+    paired: { offset: 2.2 },
+    periodic: { offset: Math.PI, period: 2.2, duty: 0.5, phase: 0 }
+  },
+  shape: {
+    multiGap: { count: 2, widthFactor: 0.8 },
+    reversing: { period: 3.0, phase: 0 },
+    breathing: { amplitude: 0.35, phase: 0, frequency: 1.8 },
+    phased: { period: 2.0, duty: 0.55, phase: 0 }
+  },
+  pickup: {
+    shield: { offset: Math.PI },
+    slowmo: { offset: Math.PI },
+    vent: { offset: Math.PI },
+    widen: { offset: Math.PI }
+  }
+};
+
+/**
+ * A ring with editor defaults
+ */
+function createRing(gapCenter = 0) {
+  return {
+    gapCenter,
+    gapWidth: null,
+    speed: 0.5,
+    direction: 1,
+    drift: 0,
+    driftPhase: 0,
+    timeLimit: null,
+    shape: null,
+    obstacle: null,
+    pickup: null
+  };
+}
+
+/**
+ * New level with a few plain rings
+ */
+export function createBlankLevel() {
+  const rings = [];
+  for (let i = 0; i < 5; i++) {
+    const ring = createRing(angWrap(1.2 + i * 2.1));
+    ring.direction = i % 2 === 0 ? 1 : -1;
+    rings.push(ring);
+  }
+  return {
+    format: LEVEL_FORMAT,
+    id: 'my-level',
+    name: 'My Level',
+    description: '',
+    ballAngle: 0,
+    target: rings.length,
+    timeLimit: null,
+    profile: null,
+    rings
+  };
+}
+
+/**
+ * Copy a level with changes to its top-level fields
+ * A target past the last ring (or one that followed the old ring count) is kept in range.
+ */
+export function updateLevel(level, changes) {
+  const next = { ...level, ...changes };
+  const followedLength = level.target === level.rings.length;
+  if (followedLength && !('target' in changes)) next.target = next.rings.length;
+  next.target = Math.max(1, Math.min(next.target, next.rings.length));
+  return next;
+}
+
+/**
+ * Copy a level with changes to ring i
+ */
+export function updateRing(level, i, changes) {
+  const rings = level.rings.map((ring, k) => (k === i ? { ...ring, ...changes } : ring));
+  return updateLevel(level, { rings });
+}
+
+/**
+ * Insert a ring after ring i (copies its speed, opposite direction)
+ */
+export function insertRing(level, i) {
+  const source = level.rings[i];
+  const ring = createRing(source ? angWrap(source.gapCenter + 2.1) : 0);
+  if (source) {
+    ring.speed = source.speed;
+    ring.direction = -source.direction;
+  }
+  const rings = [...level.rings.slice(0, i + 1), ring, ...level.rings.slice(i + 1)];
+  return updateLevel(level, { rings });
+}
+
+/**
+ * Remove ring i (a level always keeps at least one ring)
+ */
+export function removeRing(level, i) {
+  if (level.rings.length <= 1) return level;
+  return updateLevel(level, { rings: level.rings.filter((_, k) => k !== i) });
+}
+
+/**
+ * Set (or clear, with typeId null) a ring's shape, obstacle or pickup
+ * @param {string} slot - 'shape', 'obstacle' or 'pickup'
+ */
+export function setRingAttachment(level, i, slot, typeId) {
+  const value = typeId ? { type: typeId, ...EDITOR_DEFAULTS[slot][typeId] } : null;
+  return updateRing(level, i, { [slot]: value });
+}
+
+/**
+ * Draggable angles on a ring, in absolute angles at run time 0
+ * @returns {array} [{ kind: 'gap' | 'obstacle' | 'pickup', angle }]
+ */
+export function getDragHandles(ring) {
+  const handles = [{ kind: 'gap', angle: ring.gapCenter }];
+
+  const obstacle = ring.obstacle;
+  if (obstacle) {
+    if (obstacle.type === 'orbiting') {
+      handles.push({ kind: 'obstacle', angle: obstacle.startAngle });
+    } else if (obstacle.type === 'paired') {
+      handles.push({ kind: 'obstacle', angle: ring.gapCenter + obstacle.offset });
+      handles.push({ kind: 'obstacle', angle: ring.gapCenter - obstacle.offset });
+    } else if ('offset' in obstacle) {
+      handles.push({ kind: 'obstacle', angle: ring.gapCenter + obstacle.offset });
+    }
+  }
+
+  if (ring.pickup) {
+    handles.push({ kind: 'pickup', angle: ring.gapCenter + ring.pickup.offset });
+  }
+  return handles;
+}
+
+/**
+ * Handle closest to angle (within maxDistance radians), or null
+ */
+export function findDragHandle(ring, angle, maxDistance) {
+  let best = null;
+  let bestDistance = maxDistance;
+  for (const handle of getDragHandles(ring)) {
+    const distance = Math.abs(angNorm(angle - handle.angle));
+    if (distance <= bestDistance) {
+      best = handle;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+/**
+ * Move a handle of ring i to angle (obstacles and pickups stay relative to the gap)
+ */
+export function dragHandle(level, i, kind, angle) {
+  const ring = level.rings[i];
+
+  if (kind === 'gap') {
+    return updateRing(level, i, { gapCenter: angWrap(angle) });
+  }
+
+  if (kind === 'obstacle' && ring.obstacle) {
+    const obstacle = { ...ring.obstacle };
+    if (obstacle.type === 'orbiting') {
+      obstacle.startAngle = angWrap(angle);
+    } else if (obstacle.type === 'paired') {
+      obstacle.offset = Math.abs(angNorm(angle - ring.gapCenter));
+    } else {
+      obstacle.offset = angWrap(angle - ring.gapCenter);
+    }
+    return updateRing(level, i, { obstacle });
+  }
+
+  if (kind === 'pickup' && ring.pickup) {
+    return updateRing(level, i, { pickup: { ...ring.pickup, offset: angWrap(angle - ring.gapCenter) } });
+  }
+
+  return level;
+}
+
+/**
+ * Level that starts at ring i (for test-playing from the middle of a level)
+ */
+export function sliceLevelFrom(level, i) {
+  const rings = level.rings.slice(i);
+  return {
+    ...level,
+    id: i > 0 ? `${level.id}@${i}` : level.id,
+    target: Math.max(1, level.target - i),
+    rings
+  };
+}
+
+/**
+ * Level file contents for export (defaults left out to keep files short)
+ */
+export function levelToJson(level) {
+  const rings = level.rings.map(ring => {
+    const out = { gapCenter: round(ring.gapCenter) };
+    if (ring.gapWidth !== null) out.gapWidth = round(ring.gapWidth);
+    if (ring.speed !== 0) out.speed = round(ring.speed);
+    if (ring.direction !== 1) out.direction = ring.direction;
+    if (ring.drift !== 0) out.drift = ring.drift;
+    if (ring.driftPhase !== 0) out.driftPhase = ring.driftPhase;
+    if (ring.timeLimit !== null) out.timeLimit = ring.timeLimit;
+    if (ring.shape) out.shape = ring.shape;
+    if (ring.obstacle) out.obstacle = roundAngles(ring.obstacle);
+    if (ring.pickup) out.pickup = roundAngles(ring.pickup);
+    return out;
+  });
+
+  const file = { format: level.format, id: level.id, name: level.name };
+  if (level.description) file.description = level.description;
+  file.ballAngle = round(level.ballAngle);
+  file.target = level.target;
+  if (level.timeLimit !== null) file.timeLimit = level.timeLimit;
+  if (level.profile !== null) file.profile = level.profile;
+  file.rings = rings;
+
+  return JSON.stringify(file, null, 2);
+}
+
+/**
+ * Parse a level file (same validation as bundled levels)
+ * @returns {object} { level, errors }
+ */
+export function levelFromJson(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (e) {
+    return { level: null, errors: ['Not valid JSON'] };
+  }
+  return normalizeLevel(raw);
+}
+
+// Angles are edited by dragging; 3 decimals (~0.06 degrees) keeps exports readable
+function round(v) {
+  return Math.round(v * 1000) / 1000;
+}
+
+function roundAngles(attachment) {
+  const out = { ...attachment };
+  for (const key of ['offset', 'startAngle']) {
+    if (key in out) out[key] = round(out[key]);
+  }
+  return out;
+}
@@ -0,0 +1,132 @@
+// ======= GHOST MODULE =======
+// Sprint 30 ghost racing: records a run's ring-by-ring splits and a sampled
+// ball angle so the personal best can be drawn as a ghost and compared live.
+
+const GHOST_FORMAT = 1;
+const GHOST_SAMPLE_INTERVAL = 0.1; // Seconds between ball angle samples
+const GHOST_TWEEN_MS = 150;        // Ghost escape animation length
+
+function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+
+function angNorm(a) {
+  a = (a + Math.PI) % (Math.PI * 2);
+  if (a < 0) a += Math.PI * 2;
+  return a - Math.PI;
+}
+
+/**
+ * Start recording a ghost for the current run
+ */
+export function createGhostRecorder() {
+  return {
+    splits: [], // splits[k] = run time (ms) when ring k+1 was escaped
+    angles: []  // Ball angle every GHOST_SAMPLE_INTERVAL seconds
+  };
+}
+
+/**
+ * Sample the run's ball angle (call every step)
+ * @param {object} recorder - Ghost recorder
+ * @param {object} run - Run state (see sim.js)
+ */
+export function recordGhostFrame(recorder, run) {
+  while (run.time >= recorder.angles.length * GHOST_SAMPLE_INTERVAL) {
+    recorder.angles.push(Math.round(angNorm(run.ballAngle) * 1000) / 1000);
+  }
+}
+
+/**
+ * Record splits up to the run's current ring count (chains fill several splits at once)
+ * @param {object} recorder - Ghost recorder
+ * @param {number} rings - Rings escaped so far
+ * @param {number} time_ms - Run time in milliseconds
+ */
+export function recordGhostSplit(recorder, rings, time_ms) {
+  while (recorder.splits.length < rings) {
+    recorder.splits.push(Math.round(time_ms));
+  }
+}
+
+/**
+ * Turn a finished recording into a storable ghost
+ * @param {object} recorder - Ghost recorder
+ * @param {number} time_ms - Final run time in milliseconds
+ * @returns {object} Ghost { format, time_ms, sampleInterval, splits, angles }
+ */
+export function finishGhost(recorder, time_ms) {
+  return {
+    format: GHOST_FORMAT,
+    time_ms: Math.round(time_ms),
+    sampleInterval: GHOST_SAMPLE_INTERVAL,
+    splits: recorder.splits.slice(),
+    angles: recorder.angles.slice()
+  };
+}
+
+/**
+ * Check a stored ghost can be raced (older formats are ignored)
+ */
+export function isGhostValid(ghost) {
+  return !!ghost && ghost.format === GHOST_FORMAT && ghost.splits.length > 0;
+}
+
+/**
+ * Ghost progress at run time t as a fractional ring count (tweens between rings)
+ * @returns {number} Rings escaped by the ghost, e.g. 4.5 mid-escape from ring 4 to 5
+ */
+export function ghostEscapedAt(ghost, time_ms) {
+  const splits = ghost.splits;
+  let count = 0;
+  while (count < splits.length && splits[count] <= time_ms) count++;
+  if (count === 0) return 0;
+
+  // Rings escaped together in a chain share one split time
+  const splitTime = splits[count - 1];
+  let from = count - 1;
+  while (from > 0 && splits[from - 1] === splitTime) from--;
+
+  const progress = clamp((time_ms - splitTime) / GHOST_TWEEN_MS, 0, 1);
+  return from + (count - from) * progress;
+}
+
+/**
+ * Ghost ball angle at run time t (interpolated between samples)
+ */
+export function ghostAngleAt(ghost, time_ms) {
+  const angles = ghost.angles;
+  if (angles.length === 0) return 0;
+
+  const pos = time_ms / 1000 / ghost.sampleInterval;
+  const i = Math.floor(pos);
+  if (i >= angles.length - 1) return angles[angles.length - 1];
+
+  const a = angles[i];
+  const b = angles[i + 1];
+  return a + angNorm(b - a) * (pos - i);
+}
+
+/**
+ * Live split versus the ghost, in milliseconds (positive = behind the PB)
+ * Uses the last ring both reached, or how late the player already is for the
+ * ghost's next ring if that is worse.
+ * @param {object} ghost - Stored PB ghost
+ * @param {object} recorder - Current run's ghost recorder
+ * @param {number} time_ms - Current run time in milliseconds
+ * @returns {number|null} Delta in ms, or null before the first comparison point
+ */
+export function getSplitDelta(ghost, recorder, time_ms) {
+  const rings = recorder.splits.length;
+  let delta = null;
+
+  if (rings > 0 && rings <= ghost.splits.length) {
+    delta = recorder.splits[rings - 1] - ghost.splits[rings - 1];
+  }
+
+  const nextGhostSplit = ghost.splits[rings];
+  if (nextGhostSplit !== undefined && time_ms > nextGhostSplit) {
+    const late = time_ms - nextGhostSplit;
+    delta = delta === null ? late : Math.max(delta, late);
+  }
+
+  return delta;
+}
@@ -0,0 +1,212 @@
+// ======= CUSTOM LEVEL MODULE =======
+// Hand-authored ring sequences for the Custom mode (curated challenges, tutorials).
+// A level file lists every ring explicitly instead of rolling them; the simulation
+// plays it through the same path as the daily pattern, with complete ring specs.
+//
+// Level file (angles in radians, speeds in rad/s, times in seconds):
+// {
+//   "format": 1,
+//   "id": "first-orbit",
+//   "name": "First Orbit",
+//   "description": "...",
+//   "ballAngle": 0,        // Start angle (optional, default 0)
+//   "target": 8,           // Rings to escape to complete (optional, default all rings)
+//   "timeLimit": 10,       // Default time per ring (optional, default the profile's timer)
+//   "profile": "normal",   // Difficulty profile for ball speed etc. (optional)
+//   "rings": [
+//     {
+//       "gapCenter": 1.57,
+//       "gapWidth": 0.7,     // Optional, default the profile's gap width
+//       "speed": 0.4,        // Optional, default 0
+//       "direction": -1,     // 1 or -1 (optional, default 1)
+//       "drift": 0, "driftPhase": 0,
+//       "timeLimit": 12,     // Optional, overrides the level's timeLimit
+//       "shape": null,       // Ring type, see ringTypes.js (e.g. { "type": "phased", ... })
+//       "obstacle": null,    // Obstacle, see obstacles.js (e.g. { "type": "static", "offset": 3.14 })
+//       "pickup": null       // Pickup, see powerups.js (e.g. { "type": "shield", "offset": 2.0 })
+//     }
+//   ]
+// }
+
+import { getDifficultyProfile, getProfileById } from './difficulty.js';
+import { isRingShapeType, getRingShapeParams } from './ringTypes.js';
+import { isObstacleType, getObstacleParams } from './obstacles.js';
+import { isPowerupType, getPickupParams } from './powerups.js';
+
+export const LEVEL_FORMAT = 1;
+
+let levelsCache = null;
+
+function isNumber(v) { return typeof v === 'number' && Number.isFinite(v); }
+
+/**
+ * Level text (name, description) made safe for innerHTML: level files are loaded
+ * from anywhere and shared, so their text is never trusted as markup
+ */
+export function escapeLevelText(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * Load the bundled levels listed in data/levels/index.json
+ * @returns {array} Normalized levels (files that fail to load or validate are skipped)
+ */
+export async function loadLevels() {
+  if (levelsCache) return levelsCache;
+
+  levelsCache = [];
+  try {
+    const response = await fetch('./data/levels/index.json');
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const index = await response.json();
+
+    for (const id of index.levels) {
+      try {
+        const levelResponse = await fetch(`./data/levels/${id}.json`);
+        if (!levelResponse.ok) {
+          throw new Error(`HTTP ${levelResponse.status}`);
+        }
+        const { level, errors } = normalizeLevel(await levelResponse.json());
+        if (level) {
+          levelsCache.push(level);
+        } else {
+          console.warn(`[Levels] Skipping ${id}:`, errors);
+        }
+      } catch (e) {
+        console.error(`[Levels] Failed to load ${id}.json:`, e);
+      }
+    }
+    console.log('[Levels] Loaded levels:', levelsCache.map(l => l.id));
+  } catch (e) {
+    console.error('[Levels] Failed to load levels index:', e);
+  }
+  return levelsCache;
+}
+
+/**
+ * Check a ring's optional { type, ... } attachment against a registry
+ * (its type must be registered and it must have the type's numeric params)
+ */
+function checkTyped(value, isType, getParams, label, errors) {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'object' || !isType(value.type)) {
+    errors.push(`${label}: unknown type "${value && value.type}"`);
+    return null;
+  }
+  for (const [key, kind] of Object.entries(getParams(value.type))) {
+    const param = value[key];
+    if (!isNumber(param)) errors.push(`${label}: ${key} is required`);
+    else if (kind === 'positive' && param <= 0) errors.push(`${label}: ${key} must be > 0`);
+    else if (kind === 'count' && (!Number.isInteger(param) || param < 1)) errors.push(`${label}: ${key} must be a whole number >= 1`);
+  }
+  return { ...value };
+}
+
+/**
+ * Validate a level file and fill in defaults
+ *
+ * Normalizing an already normalized level returns the same level, so replays can
+ * store the normalized form and verification can re-check it.
+ *
+ * @param {object} raw - Parsed level JSON
+ * @returns {object} { level, errors } (level is null if there are errors)
+ */
+export function normalizeLevel(raw) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object') {
+    return { level: null, errors: ['Level must be a JSON object'] };
+  }
+  if (raw.format !== LEVEL_FORMAT) errors.push(`format must be ${LEVEL_FORMAT}`);
+  if (typeof raw.id !== 'string' || !raw.id) errors.push('id is required');
+  if (raw.name != null && typeof raw.name !== 'string') errors.push('name must be a string');
+  if (raw.description != null && typeof raw.description !== 'string') errors.push('description must be a string');
+  if (!Array.isArray(raw.rings) || raw.rings.length === 0) {
+    errors.push('rings must be a non-empty array');
+    return { level: null, errors };
+  }
+  if (raw.profile !== undefined && raw.profile !== null && !getProfileById(raw.profile)) {
+    errors.push(`unknown profile "${raw.profile}"`);
+  }
+
+  const rings = raw.rings.map((ring, i) => {
+    const label = `rings[${i}]`;
+    if (!ring || typeof ring !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return null;
+    }
+    if (!isNumber(ring.gapCenter)) errors.push(`${label}: gapCenter is required`);
+    if (ring.gapWidth != null && (!isNumber(ring.gapWidth) || ring.gapWidth <= 0)) errors.push(`${label}: bad gapWidth`);
+    if (ring.speed != null && (!isNumber(ring.speed) || ring.speed < 0)) errors.push(`${label}: speed must be >= 0`);
+    if (ring.direction != null && ring.direction !== 1 && ring.direction !== -1) errors.push(`${label}: direction must be 1 or -1`);
+    if (ring.timeLimit != null && (!isNumber(ring.timeLimit) || ring.timeLimit <= 0)) errors.push(`${label}: bad timeLimit`);
+
+    return {
+      gapCenter: ring.gapCenter,
+      gapWidth: ring.gapWidth ?? null,
+      speed: ring.speed ?? 0,
+      direction: ring.direction ?? 1,
+      drift: ring.drift ?? 0,
+      driftPhase: ring.driftPhase ?? 0,
+      timeLimit: ring.timeLimit ?? null,
+      shape: checkTyped(ring.shape, isRingShapeType, getRingShapeParams, `${label}.shape`, errors),
+      obstacle: checkTyped(ring.obstacle, isObstacleType, getObstacleParams, `${label}.obstacle`, errors),
+      pickup: checkTyped(ring.pickup, isPowerupType, getPickupParams, `${label}.pickup`, errors)
+    };
+  });
+
+  const target = raw.target ?? raw.rings.length;
+  if (!Number.isInteger(target) || target < 1 || target > raw.rings.length) {
+    errors.push(`target must be between 1 and ${raw.rings.length}`);
+  }
+  if (raw.timeLimit != null && (!isNumber(raw.timeLimit) || raw.timeLimit <= 0)) errors.push('bad timeLimit');
+  if (raw.ballAngle != null && !isNumber(raw.ballAngle)) errors.push('bad ballAngle');
+
+  if (errors.length > 0) return { level: null, errors };
+
+  return {
+    level: {
+      format: LEVEL_FORMAT,
+      id: raw.id,
+      name: raw.name || raw.id,
+      description: raw.description || '',
+      ballAngle: raw.ballAngle ?? 0,
+      target,
+      timeLimit: raw.timeLimit ?? null,
+      profile: raw.profile ?? null,
+      rings
+    },
+    errors
+  };
+}
+
+/**
+ * Difficulty profile a level is played with (its own profile, or the Custom mode's)
+ */
+export function getLevelDifficulty(level, expert) {
+  return (level.profile && getProfileById(level.profile)) || getDifficultyProfile('custom', expert);
+}
+
+/**
+ * Get the ring spec for a ring index in a level
+ * Rings past the end wrap around (only drawn ahead of the finish, never played).
+ * @param {object} level - Normalized level
+ * @param {number} ringIndex - Ring index
+ * @returns {object} { gapCenter, gapWidth, rotSpeed, drift, driftPhase, shape, obstacle, pickup, timeLimit }
+ */
+export function getLevelRingSpec(level, ringIndex) {
+  const ring = level.rings[ringIndex % level.rings.length];
+  return {
+    gapCenter: ring.gapCenter,
+    gapWidth: ring.gapWidth,
+    rotSpeed: ring.speed * ring.direction,
+    drift: ring.drift,
+    driftPhase: ring.driftPhase,
+    shape: ring.shape,
+    obstacle: ring.obstacle,
+    pickup: ring.pickup,
+    timeLimit: ring.timeLimit
+  };
+}
@@ -184,10 +184,28 @@ export function updateMissionProgress(missions, eventType, eventData = {}) {
           mission.progress = 1;
         }
         break;
+
+      case 'score_attack_participate':
+        if (eventType === 'run_start' && eventData.mode === 'scoreAttack') {
+          mission.progress = 1;
+        }
+        break;
+
+      case 'score_attack_score':
+        if (eventType === 'score_attack_complete' && eventData.rings >= mission.target) {
+          mission.progress = mission.target;
+        }
+        break;
+
+      case 'score_attack_clean':
+        if (eventType === 'score_attack_complete' && eventData.deaths === 0 && eventData.rings > 0) {
+          mission.progress = 1;
+        }
+        break;
     }
 
     // Handle missions without explicit target (boolean missions)
-    const booleanMissionTypes = ['daily_participate', 'sprint_participate', 'avoid_death_cause', 'play_all_modes', 'sprint_time_under'];
+    const booleanMissionTypes = ['daily_participate', 'sprint_participate', 'avoid_death_cause', 'play_all_modes', 'sprint_time_under', 'score_attack_participate', 'score_attack_clean'];
     if (booleanMissionTypes.includes(mission.type) && !mission.target) {
       mission.target = 1;
     }
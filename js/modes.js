@@ -1,204 +1,121 @@
 // ======= MODE SYSTEM MODULE =======
-// Phase 2: Endless, Daily Orbit, Sprint 30
-
-// Mode configuration
-export const MODES = {
-  endless: {
-    id: 'endless',
-    label: 'Endless',
-    finiteTarget: null,
-    usesDailyPattern: false,
-    scoreType: 'rings',
-    description: 'Escape as many rings as possible'
-  },
-  daily: {
-    id: 'daily',
-    label: 'Daily Orbit',
-    finiteTarget: 40, // Complete at 40 rings
-    usesDailyPattern: true,
-    scoreType: 'rings',
-    description: 'Today\'s unique challenge'
+// Game modes are registered definitions with hooks; the simulation, the game loop
+// and replay verification only call the hooks, so a new mode is one module that
+// calls registerMode(). Built-in modes live in js/modes/.
+//
+// Mode definition (every hook is optional):
+// {
+//   id, label, description,
+//   scoreType: 'rings' | 'time', // Best is the most rings, or the fastest completion (ms)
+//   usesDailyPattern: true,      // Runs are played on setup.dailyPattern (kept in replays)
+//   usesLevel: true,             // Runs are played on setup.level (kept in replays)
+//   seedCode: 'E',               // Runs can be shared as seed codes (see seeds.js)
+//   ghost: true,                 // Race a ghost of the best run (playerData.ghosts[id])
+//   completionXp: 80,            // Bonus XP for completing the mode
+//   practice: true,              // No-fail practice: deaths are reported (sim.js 'fail' event) and
+//                                // the game rewinds; runs don't count for bests, missions or achievements
+//   pressure: false,             // No pressure or Critical Orbit (default true)
+//   ringTimer: false,            // No time limit per ring (default true)
+//   deathPenalty: 5,             // A death costs this many seconds (run.penaltyTime) instead of
+//                                // ending the run; the hazard is cleared (sim.js 'penalty' event)
+//   getOptions(settings)         // Options for the next run from playerData.settings (run.options,
+//                                // kept in replays)
+//   getTimeLeft(run)             // Seconds left on a timed mode's clock (HUD countdown)
+//   allowsMutators: false,       // Runs can't take mutators (default true, see mutators.js)
+//   players: 2,                  // Same-screen match: one ball per player on shared rings
+//                                // (sim.js createMatch); runs aren't recorded or stored
+//
+//   Simulation hooks (sim.js; must be deterministic so replays re-simulate exactly):
+//   setup(run)               // Mode state once the run is created (may set run.ballAngle)
+//   ringParams(run, i)       // Parameters for ring i, or null for a random roll (rings.js)
+//   onEscape(run, count)     // After the ball escapes `count` rings
+//   isComplete(run)          // Goal reached? Checked every tick; ends the run
+//
+//   Result hooks (game loop; defaults come from scoreType):
+//   getResult(run, timeMs)   // Value for the best, or null if the run doesn't count
+//   isBetter(value, best)    // Does value beat the stored best?
+//   getBest(playerData, level, options) / setBest(playerData, level, value, options)
+//                            // Stored best (default playerData.bestScore[id])
+//   formatBest(value)        // Best as shown on the mode selector and HUD
+//   summary(run, timeMs)     // Completion screen: { headline, line, event: { name, params } }
+//                            // (event is logged and sent to missions)
+//   getDifficulty(expert, level) // Difficulty profile (default: the mode's, data/difficulty.json)
+//   checkReplay(replay)      // verify.js: mode-specific setup check (problem string or null)
+// }
+
+import { getDifficultyProfile } from './difficulty.js';
+import { endlessMode } from './modes/endless.js';
+import { dailyMode } from './modes/daily.js';
+import { sprintMode } from './modes/sprint.js';
+import { customMode } from './modes/custom.js';
+import { scoreAttackMode } from './modes/scoreAttack.js';
+import { zenMode } from './modes/zen.js';
+import { versusMode } from './modes/versus.js';
+
+// Registered modes by ID (in selector order)
+export const MODES = {};
+
+// Result hooks for each score type
+const SCORE_TYPES = {
+  rings: {
+    getResult: (run) => run.score,
+    isBetter: (value, best) => value > best,
+    formatBest: (value) => String(value)
   },
-  sprint: {
-    id: 'sprint',
-    label: 'Sprint 30',
-    finiteTarget: 30,
-    usesDailyPattern: false,
-    scoreType: 'time',
-    description: 'Reach 30 rings as fast as possible'
+  time: {
+    getResult: (run, timeMs) => (run.completed ? timeMs : null),
+    isBetter: (value, best) => !best || value < best,
+    formatBest: (value) => (value > 0 ? `${(value / 1000).toFixed(1)}s` : '--')
   }
 };
 
 /**
- * Get current mode configuration
- */
-export function getModeConfig(modeId) {
-  return MODES[modeId] || MODES.endless;
-}
-
-/**
- * Get today's date in YYYY-MM-DD format (local time)
- */
-export function getTodayId() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
-}
-
-/**
- * Mulberry32 PRNG (deterministic seeded random)
- * https://stackoverflow.com/a/47593316
+ * Register a game mode (see the definition format above)
+ * @param {object} definition - Mode definition
+ * @returns {object} The registered mode, with default hooks filled in
  */
-function mulberry32(seed) {
-  return function() {
-    let t = seed += 0x6D2B79F5;
-    t = Math.imul(t ^ t >>> 15, t | 1);
-    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
-    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+export function registerMode(definition) {
+  const id = definition.id;
+  const mode = {
+    ...SCORE_TYPES[definition.scoreType],
+    pressure: true,
+    ringTimer: true,
+    allowsMutators: true,
+    getBest: (playerData) => playerData.bestScore[id] || 0,
+    setBest: (playerData, level, value) => { playerData.bestScore[id] = value; },
+    getDifficulty: (expert) => getDifficultyProfile(id, expert),
+    summary: (run) => ({ headline: 'Victory!', line: `You escaped <b>${run.score}</b> rings.`, event: null }),
+    ...definition
   };
+  MODES[id] = mode;
+  return mode;
 }
 
-/**
- * Convert date string to numeric seed
- */
-function dateToSeed(dateStr) {
-  let hash = 0;
-  for (let i = 0; i < dateStr.length; i++) {
-    const char = dateStr.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32bit integer
-  }
-  return Math.abs(hash);
-}
+registerMode(endlessMode);
+registerMode(dailyMode);
+registerMode(sprintMode);
+registerMode(customMode);
+registerMode(scoreAttackMode);
+registerMode(zenMode);
+registerMode(versusMode);
 
 /**
- * Generate deterministic daily pattern
- * @param {string} dateId - Date in YYYY-MM-DD format
- * @param {number} length - Number of rings to generate
- * @returns {object} Pattern with gapCenters array
+ * Check if modeId is a registered mode
  */
-export function generateDailyPattern(dateId, length = 50) {
-  const seed = dateToSeed(dateId);
-  const rng = mulberry32(seed);
-
-  const gapCenters = [];
-  for (let i = 0; i < length; i++) {
-    gapCenters.push(rng() * Math.PI * 2);
-  }
-
-  return {
-    dateId,
-    length,
-    gapCenters,
-    seed // Store for debugging
-  };
+export function isMode(modeId) {
+  return Object.prototype.hasOwnProperty.call(MODES, modeId);
 }
 
 /**
- * Get cached daily pattern or generate new one
- * @param {string} version - App version for cache key
- * @param {string} dateId - Date in YYYY-MM-DD format
- * @returns {object} Daily pattern
- */
-export function getDailyPattern(version, dateId) {
-  const cacheKey = `daily_${version}_${dateId}`;
-
-  // Try to load from cache
-  try {
-    const cached = localStorage.getItem(cacheKey);
-    if (cached) {
-      const pattern = JSON.parse(cached);
-      console.log(`[Daily] Loaded cached pattern for ${dateId}`);
-      return pattern;
-    }
-  } catch (e) {
-    console.warn('[Daily] Failed to load cached pattern:', e);
-  }
-
-  // Generate new pattern
-  console.log(`[Daily] Generating new pattern for ${dateId}`);
-  const pattern = generateDailyPattern(dateId, 50);
-
-  // Save to cache
-  try {
-    localStorage.setItem(cacheKey, JSON.stringify(pattern));
-  } catch (e) {
-    console.warn('[Daily] Failed to cache pattern:', e);
-  }
-
-  return pattern;
-}
-
-/**
- * Check if daily pattern needs refresh (new day)
- * @param {object} playerData - Player data object
- * @param {string} currentDateId - Today's date ID
- * @returns {boolean} True if new day
- */
-export function isNewDay(playerData, currentDateId) {
-  const lastDate = playerData.stats.lastDailyDate;
-  return !lastDate || lastDate !== currentDateId;
-}
-
-/**
- * Update daily streak when player plays on a new day
- * @param {object} playerData - Player data object
- * @param {string} currentDateId - Today's date ID (YYYYMMDD format)
+ * Get current mode configuration
  */
-export function updateDailyStreak(playerData, currentDateId) {
-  const lastDate = playerData.stats.lastDailyDate;
-
-  if (!lastDate) {
-    // First time playing
-    playerData.stats.dailyStreak = 1;
-    console.log('[Streak] Started daily streak: 1 day');
-  } else if (lastDate === currentDateId) {
-    // Already played today, no change
-    return;
-  } else {
-    // Check if it's consecutive days
-    const lastDateObj = new Date(
-      parseInt(lastDate.slice(0, 4)), // year
-      parseInt(lastDate.slice(4, 6)) - 1, // month (0-indexed)
-      parseInt(lastDate.slice(6, 8)) // day
-    );
-
-    const todayDateObj = new Date(
-      parseInt(currentDateId.slice(0, 4)),
-      parseInt(currentDateId.slice(4, 6)) - 1,
-      parseInt(currentDateId.slice(6, 8))
-    );
-
-    // Calculate difference in days
-    const diffTime = todayDateObj.getTime() - lastDateObj.getTime();
-    const diffDays = Math.round(diffTime / (1000 * 60 * 60 * 24));
-
-    if (diffDays === 1) {
-      // Consecutive day - increment streak
-      playerData.stats.dailyStreak++;
-      console.log(`[Streak] Daily streak continued: ${playerData.stats.dailyStreak} days`);
-    } else if (diffDays > 1) {
-      // Streak broken - reset to 1
-      playerData.stats.dailyStreak = 1;
-      console.log('[Streak] Streak broken, resetting to 1 day');
-    }
-  }
+export function getModeConfig(modeId) {
+  return isMode(modeId) ? MODES[modeId] : MODES.endless;
 }
 
 /**
- * Get gap center for a ring index in daily mode
- * @param {object} dailyPattern - Daily pattern object
- * @param {number} ringIndex - Ring index
- * @returns {number} Gap center angle
+ * Roll a fresh 32-bit seed for a run
  */
-export function getDailyGapCenter(dailyPattern, ringIndex) {
-  if (!dailyPattern || !dailyPattern.gapCenters) {
-    return Math.random() * Math.PI * 2; // Fallback
-  }
-
-  // Wrap around if ring index exceeds pattern length
-  const index = ringIndex % dailyPattern.gapCenters.length;
-  return dailyPattern.gapCenters[index];
+export function createRunSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
 }
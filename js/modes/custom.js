@@ -0,0 +1,58 @@
+// ======= CUSTOM MODE =======
+// Hand-authored levels (see levels.js): every ring comes from the level, which also
+// sets the start angle, the ring count to escape and the difficulty profile.
+// Bests are kept per level (playerData.levelBests).
+
+import { normalizeLevel, getLevelRingSpec, getLevelDifficulty, escapeLevelText } from '../levels.js';
+import { getGapWidth } from '../rings.js';
+
+export const customMode = {
+  id: 'custom',
+  label: 'Custom',
+  description: 'Play a hand-authored level',
+  scoreType: 'time',
+  usesLevel: true,       // Runs are played on setup.level
+  allowsMutators: false, // Levels are played as authored
+
+  setup(run) {
+    if (run.level) run.ballAngle = run.level.ballAngle;
+  },
+
+  // Complete ring specs (gap width falls back to the profile's)
+  ringParams(run, i) {
+    if (!run.level) return null;
+    const spec = getLevelRingSpec(run.level, i);
+    return { ...spec, gapWidth: spec.gapWidth ?? getGapWidth(run.difficulty) };
+  },
+
+  isComplete(run) {
+    return !!run.level && run.score >= run.level.target;
+  },
+
+  getDifficulty(expert, level) {
+    return getLevelDifficulty(level, expert);
+  },
+
+  getBest(playerData, level) {
+    return (level && playerData.levelBests[level.id]) || 0;
+  },
+
+  setBest(playerData, level, value) {
+    playerData.levelBests[level.id] = value;
+  },
+
+  summary(run, timeMs) {
+    return {
+      headline: 'Level Complete!',
+      line: `You cleared <b>${escapeLevelText(run.level.name)}</b> in <b>${(timeMs / 1000).toFixed(1)}s</b>!`,
+      event: { name: 'level_complete', params: { level_id: run.level.id, time_ms: Math.round(timeMs), rings: run.score } }
+    };
+  },
+
+  // Custom levels are player content: they only have to be well-formed
+  checkReplay(replay) {
+    const { level } = normalizeLevel(replay.level);
+    if (!level || JSON.stringify(level) !== JSON.stringify(replay.level)) return 'bad_level';
+    return null;
+  }
+};
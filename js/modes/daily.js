@@ -0,0 +1,310 @@
+// ======= DAILY ORBIT MODE =======
+// The same run for every player on a date: the start angle and every ring come
+// from a pattern generated from the date seed. Complete at 40 rings.
+//
+// Dailies can be hand-picked without a new build through an optional
+// data/daily-seeds.json (fetched network-first by sw.js). Dates it doesn't list,
+// or every date when it can't be loaded, fall back to the date seed.
+// {
+//   "format": 1,
+//   "days": {
+//     "2026-11-02": { "seed": 123456 },                      // Generator seed for the day
+//     "2026-11-03": { "pattern": { "ballAngle": 0, "rings": [...] } }, // Curated rings
+//     "2026-11-04": { "mutators": ["mirrored"] }             // Featured mutators (see mutators.js)
+//   }
+// }
+// Curated rings use the level ring format (see levels.js); gap widths and ring
+// timers stay difficulty-driven. Featured mutators apply to everyone's Daily.
+
+import { mulberry32 } from '../random.js';
+import { rollRingParams, getGapWidth } from '../rings.js';
+import { getDifficultyProfile } from '../difficulty.js';
+import { LEVEL_FORMAT, normalizeLevel, getLevelRingSpec } from '../levels.js';
+import { isMutator } from '../mutators.js';
+import { isDateId } from '../dates.js';
+
+// Bump when the daily pattern shape changes (invalidates cached patterns)
+const DAILY_PATTERN_FORMAT = 7;
+
+const DAILY_TARGET = 40;
+const DAILY_PATTERN_LENGTH = 50;
+
+const DAILY_SEEDS_FORMAT = 1;
+const DAILY_SEEDS_TIMEOUT_MS = 3000; // Don't hold up startup on a slow network
+
+let seedsCache = {}; // Validated daily-seeds.json entries by date ID
+
+/**
+ * Convert date string to numeric seed
+ */
+function dateToSeed(dateStr) {
+  let hash = 0;
+  for (let i = 0; i < dateStr.length; i++) {
+    const char = dateStr.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash; // Convert to 32bit integer
+  }
+  return Math.abs(hash);
+}
+
+/**
+ * Generate deterministic daily pattern
+ * Every random ring property comes from the date seed, so all players get the
+ * same run. Rings are rolled with the daily normal-tier profile; gap width stays
+ * difficulty-driven (see rings.js getGapWidth).
+ * @param {string} dateId - Date in YYYY-MM-DD format
+ * @param {number} length - Number of rings to generate
+ * @param {number} [seed] - Generator seed (default: from the date)
+ * @returns {object} Pattern with starting ballAngle and per-ring specs
+ */
+export function generateDailyPattern(dateId, length = DAILY_PATTERN_LENGTH, seed = dateToSeed(dateId)) {
+  const rng = mulberry32(seed);
+
+  const ballAngle = rng() * Math.PI * 2;
+  const difficulty = getDifficultyProfile('daily', false);
+
+  const rings = [];
+  for (let i = 0; i < length; i++) {
+    const { gapWidth, ...spec } = rollRingParams(rng, i, difficulty);
+    rings.push(spec);
+  }
+
+  return {
+    format: DAILY_PATTERN_FORMAT,
+    dateId,
+    source: 'local', // 'local' (date seed) or 'remote' (daily-seeds.json)
+    length,
+    ballAngle,
+    rings,
+    mutators: [],
+    seed // Store for debugging (null for curated rings)
+  };
+}
+
+/**
+ * Pattern from curated rings (level ring format)
+ * @returns {object} { pattern, errors } (pattern is null if there are errors)
+ */
+function curatePattern(dateId, curated) {
+  const { level, errors } = normalizeLevel({
+    format: LEVEL_FORMAT,
+    id: `daily-${dateId}`,
+    ballAngle: curated.ballAngle,
+    rings: curated.rings
+  });
+  if (!level) return { pattern: null, errors };
+
+  const rings = level.rings.map((ring, i) => {
+    const { gapWidth, timeLimit, ...spec } = getLevelRingSpec(level, i);
+    return spec;
+  });
+  return {
+    pattern: {
+      format: DAILY_PATTERN_FORMAT,
+      dateId,
+      source: 'remote',
+      length: rings.length,
+      ballAngle: level.ballAngle,
+      rings,
+      mutators: [],
+      seed: null
+    },
+    errors
+  };
+}
+
+/**
+ * Validate a daily-seeds.json entry
+ * @returns {object} { entry, errors } (entry is null if there are errors)
+ */
+function normalizeSeedsEntry(dateId, raw) {
+  const errors = [];
+  if (!isDateId(dateId)) errors.push('date must be YYYY-MM-DD');
+  if (!raw || typeof raw !== 'object') return { entry: null, errors: [...errors, 'entry must be an object'] };
+
+  if (raw.seed != null && (!Number.isInteger(raw.seed) || raw.seed < 0 || raw.seed > 0xFFFFFFFF)) {
+    errors.push('seed must be a 32-bit unsigned integer');
+  }
+  if (raw.seed != null && raw.pattern != null) errors.push('use either seed or pattern');
+  if (raw.pattern != null) {
+    if (typeof raw.pattern !== 'object') {
+      errors.push('pattern must be an object');
+    } else {
+      errors.push(...curatePattern(dateId, raw.pattern).errors.map(e => `pattern: ${e}`));
+    }
+  }
+
+  const mutators = raw.mutators ?? [];
+  if (!Array.isArray(mutators) || !mutators.every(isMutator) || new Set(mutators).size !== mutators.length) {
+    errors.push('mutators must be distinct mutator IDs');
+  }
+
+  if (errors.length > 0) return { entry: null, errors };
+  return { entry: { seed: raw.seed ?? null, pattern: raw.pattern ?? null, mutators }, errors };
+}
+
+/**
+ * Load the optional daily-seeds.json (missing or broken: every Daily uses its date seed)
+ */
+export async function loadDailySeeds() {
+  seedsCache = {};
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), DAILY_SEEDS_TIMEOUT_MS);
+  try {
+    const response = await fetch('./data/daily-seeds.json', { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const seeds = await response.json();
+
+    // sw.js answers {} when offline with nothing cached
+    if (seeds.format === undefined) return seedsCache;
+    if (seeds.format !== DAILY_SEEDS_FORMAT) throw new Error(`format must be ${DAILY_SEEDS_FORMAT}`);
+
+    for (const [dateId, raw] of Object.entries(seeds.days || {})) {
+      const { entry, errors } = normalizeSeedsEntry(dateId, raw);
+      if (entry) {
+        seedsCache[dateId] = entry;
+      } else {
+        console.warn(`[Daily] Skipping daily-seeds.json entry ${dateId}:`, errors);
+      }
+    }
+    console.log('[Daily] Loaded daily seeds for:', Object.keys(seedsCache));
+  } catch (e) {
+    console.warn('[Daily] No daily-seeds.json, using date seeds:', e.message);
+  } finally {
+    clearTimeout(timeout);
+  }
+  return seedsCache;
+}
+
+/**
+ * Pattern for a date: from its daily-seeds.json entry if it has one, else generated from the date seed
+ * @param {string} dateId - Date in YYYY-MM-DD format
+ * @returns {object} Daily pattern
+ */
+export function buildDailyPattern(dateId) {
+  const entry = seedsCache[dateId];
+  if (!entry) return generateDailyPattern(dateId);
+
+  const pattern = entry.pattern
+    ? curatePattern(dateId, entry.pattern).pattern
+    : generateDailyPattern(dateId, DAILY_PATTERN_LENGTH, entry.seed ?? dateToSeed(dateId));
+  return { ...pattern, source: 'remote', mutators: [...entry.mutators] };
+}
+
+/**
+ * Get cached daily pattern or generate new one
+ * @param {string} version - App version for cache key
+ * @param {string} dateId - Date in YYYY-MM-DD format
+ * @returns {object} Daily pattern
+ */
+export function getDailyPattern(version, dateId) {
+  // Rings are rolled with the daily profile (data/difficulty.json), so a retuned
+  // profile must not keep serving patterns rolled with the old one
+  const profileHash = dateToSeed(JSON.stringify(getDifficultyProfile('daily', false)));
+  const cacheKey = `daily_${version}_f${DAILY_PATTERN_FORMAT}_p${profileHash}_${dateId}`;
+
+  // A daily-seeds.json entry wins over the cache (it may have been published since).
+  // The cached copy is the fallback when the file can't be reached.
+  if (seedsCache[dateId]) {
+    console.log(`[Daily] Using daily-seeds.json pattern for ${dateId}`);
+    const pattern = buildDailyPattern(dateId);
+    cachePattern(cacheKey, pattern);
+    return pattern;
+  }
+
+  // Try to load from cache
+  try {
+    const cached = localStorage.getItem(cacheKey);
+    if (cached) {
+      const pattern = JSON.parse(cached);
+      console.log(`[Daily] Loaded cached pattern for ${dateId}`);
+      return pattern;
+    }
+  } catch (e) {
+    console.warn('[Daily] Failed to load cached pattern:', e);
+  }
+
+  // Generate new pattern
+  console.log(`[Daily] Generating new pattern for ${dateId}`);
+  const pattern = generateDailyPattern(dateId);
+  cachePattern(cacheKey, pattern);
+  return pattern;
+}
+
+function cachePattern(cacheKey, pattern) {
+  try {
+    localStorage.setItem(cacheKey, JSON.stringify(pattern));
+  } catch (e) {
+    console.warn('[Daily] Failed to cache pattern:', e);
+  }
+}
+
+/**
+ * Get the ring spec for a ring index in daily mode
+ * @param {object} dailyPattern - Daily pattern object
+ * @param {number} ringIndex - Ring index
+ * @returns {object|null} { gapCenter, rotSpeed, drift, driftPhase, shape, obstacle, pickup }
+ */
+export function getDailyRingSpec(dailyPattern, ringIndex) {
+  if (!dailyPattern || !dailyPattern.rings) {
+    return null;
+  }
+
+  // Wrap around if ring index exceeds pattern length
+  const index = ringIndex % dailyPattern.rings.length;
+  return dailyPattern.rings[index];
+}
+
+export const dailyMode = {
+  id: 'daily',
+  label: 'Daily Orbit',
+  description: 'Today\'s unique challenge',
+  scoreType: 'rings',
+  usesDailyPattern: true, // Runs are played on setup.dailyPattern
+  allowsMutators: false,  // Everyone plays the same Daily
+
+  setup(run) {
+    if (run.dailyPattern) run.ballAngle = run.dailyPattern.ballAngle;
+  },
+
+  // Every ring property comes from the seeded pattern
+  ringParams(run, i) {
+    if (!run.dailyPattern) return null;
+    return { ...getDailyRingSpec(run.dailyPattern, i), gapWidth: getGapWidth(run.difficulty) };
+  },
+
+  isComplete(run) {
+    return run.score >= DAILY_TARGET;
+  },
+
+  summary(run, timeMs) {
+    return {
+      headline: 'Daily Complete!',
+      line: `You completed today's Daily Orbit!<br/>Rings: <b>${run.score}</b> | Time: <b>${(timeMs / 1000).toFixed(1)}s</b>`,
+      event: { name: 'daily_complete', params: { time_ms: Math.round(timeMs), rings: run.score } }
+    };
+  },
+
+  // Daily runs must use the real pattern for their date. Patterns from
+  // daily-seeds.json are rebuilt from the published entry (load it first, see
+  // loadDailySeeds); without it they can't be checked.
+  checkReplay(replay) {
+    const pattern = replay.dailyPattern;
+    if (!pattern || !isDateId(pattern.dateId)) return 'bad_daily_pattern';
+
+    const remote = pattern.source === 'remote';
+    if (remote && !seedsCache[pattern.dateId]) return 'unverifiable_daily_pattern';
+
+    const expected = remote ? buildDailyPattern(pattern.dateId) : generateDailyPattern(pattern.dateId);
+    if (pattern.ballAngle !== expected.ballAngle ||
+        JSON.stringify(pattern.rings) !== JSON.stringify(expected.rings)) {
+      return 'bad_daily_pattern';
+    }
+
+    // Featured mutators are part of the day's run (only remote patterns have any)
+    if (JSON.stringify(replay.mutators || []) !== JSON.stringify(expected.mutators)) return 'bad_mutators';
+    return null;
+  }
+};
@@ -0,0 +1,18 @@
+// ======= ENDLESS MODE =======
+// Classic survival: random rings for as long as the ball lasts, with a boss ring
+// every difficulty.boss.every rings (see boss.js).
+
+import { isBossIndex, rollBossRing } from '../boss.js';
+
+export const endlessMode = {
+  id: 'endless',
+  label: 'Endless',
+  description: 'Escape as many rings as possible',
+  scoreType: 'rings',
+  seedCode: 'E', // Runs can be shared as seed codes (see seeds.js)
+
+  // Boss rings at milestone depths, random rolls otherwise
+  ringParams(run, i) {
+    return isBossIndex(i, run.difficulty.boss) ? rollBossRing(run.rng, i, run.difficulty) : null;
+  }
+};
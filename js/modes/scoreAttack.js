@@ -0,0 +1,56 @@
+// ======= SCORE ATTACK MODE =======
+// Most rings before the clock runs out (run.options.duration seconds). A death
+// costs DEATH_PENALTY seconds off the clock instead of ending the run (sim.js
+// clears whatever the ball hit). Bests are kept per duration.
+
+export const SCORE_ATTACK_DURATIONS = [30, 60, 120];
+const DEFAULT_DURATION = 60;
+const DEATH_PENALTY = 5; // seconds
+
+/**
+ * Clock length for run options (unknown durations fall back to the default)
+ */
+function getDuration(options) {
+  return options && SCORE_ATTACK_DURATIONS.includes(options.duration) ? options.duration : DEFAULT_DURATION;
+}
+
+function getTimeLeft(run) {
+  return Math.max(0, getDuration(run.options) - run.time - run.penaltyTime);
+}
+
+export const scoreAttackMode = {
+  id: 'scoreAttack',
+  label: 'Score Attack',
+  description: 'Escape as many rings as possible before the clock runs out',
+  scoreType: 'rings',
+  deathPenalty: DEATH_PENALTY,
+
+  getOptions: (settings) => ({ duration: getDuration({ duration: settings.scoreAttackDuration }) }),
+  getTimeLeft,
+
+  isComplete(run) {
+    return getTimeLeft(run) <= 0;
+  },
+
+  // One best per clock length
+  getBest: (playerData, level, options) => playerData.bestScore.scoreAttack[getDuration(options)] || 0,
+  setBest: (playerData, level, value, options) => {
+    playerData.bestScore.scoreAttack[getDuration(options)] = value;
+  },
+
+  summary(run) {
+    const duration = getDuration(run.options);
+    const deaths = run.runStats.penalties;
+    const deathNote = deaths > 0 ? ` (${deaths} × -${DEATH_PENALTY}s)` : ' without a single death';
+    return {
+      headline: "Time's Up!",
+      line: `You escaped <b>${run.score}</b> rings in <b>${duration}s</b>${deathNote}!`,
+      event: { name: 'score_attack_complete', params: { duration, rings: run.score, deaths } }
+    };
+  },
+
+  checkReplay(replay) {
+    const duration = replay.options && replay.options.duration;
+    return SCORE_ATTACK_DURATIONS.includes(duration) ? null : 'bad_duration';
+  }
+};
@@ -0,0 +1,27 @@
+// ======= SPRINT 30 MODE =======
+// Random rings, scored on the time taken to escape 30 of them. The player races a
+// ghost of their personal best.
+
+const SPRINT_TARGET = 30;
+
+export const sprintMode = {
+  id: 'sprint',
+  label: 'Sprint 30',
+  description: 'Reach 30 rings as fast as possible',
+  scoreType: 'time',
+  seedCode: 'S',
+  ghost: true,       // Race the PB ghost (see ghost.js)
+  completionXp: 80,
+
+  isComplete(run) {
+    return run.score >= SPRINT_TARGET;
+  },
+
+  summary(run, timeMs) {
+    return {
+      headline: 'Sprint Complete!',
+      line: `You reached <b>${SPRINT_TARGET} rings</b> in <b>${(timeMs / 1000).toFixed(1)}s</b>!`,
+      event: { name: 'sprint_complete', params: { time_ms: Math.round(timeMs), rings: run.score } }
+    };
+  }
+};
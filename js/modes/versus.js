@@ -0,0 +1,36 @@
+// ======= VERSUS MODE =======
+// Same-screen two-player race: both balls orbit one shared ring stack (see sim.js
+// createMatch) and each player reverses their own ball. First to VERSUS_TARGET
+// rings wins; a ball that dies is out and the other player wins. Matches don't
+// count for bests, missions or achievements and aren't kept as replays.
+
+export const VERSUS_TARGET = 30;
+
+export const versusMode = {
+  id: 'versus',
+  label: 'Versus',
+  description: `Two players race to ${VERSUS_TARGET} rings on the same rings`,
+  scoreType: 'rings',
+  players: 2,
+  allowsMutators: false, // Both players take the same rings as they are
+
+  setup(run) {
+    // The rings are shared, so slow-motion could only slow one player's ball
+    const pickups = run.difficulty.pickups;
+    run.difficulty = {
+      ...run.difficulty,
+      pickups: { ...pickups, weights: { ...pickups.weights, slowmo: 0 } }
+    };
+  },
+
+  isComplete(run) {
+    return run.score >= VERSUS_TARGET;
+  },
+
+  // Nothing is stored for matches
+  getResult: () => null,
+  formatBest: () => '--',
+
+  // Matches have two players' taps, which replays don't record
+  checkReplay: () => 'versus_match'
+};
@@ -0,0 +1,44 @@
+// ======= ZEN MODE =======
+// No-fail practice for drilling chain setups: no pressure, no ring timer, and
+// obstacles only if the player wants them (run.options.obstacles). Hitting an
+// obstacle doesn't end the run; the game rewinds instead (see rewind.js). Zen runs
+// don't count for bests, missions or achievements and aren't kept as replays.
+
+import { mulberry32 } from '../random.js';
+import { rollRingParams } from '../rings.js';
+
+export const zenMode = {
+  id: 'zen',
+  label: 'Zen',
+  description: 'Practice with no pressure, no timers and a 3s rewind',
+  scoreType: 'rings',
+  practice: true,
+  pressure: false,
+  ringTimer: false,
+
+  getOptions: (settings) => ({ obstacles: settings.practiceObstacles }),
+
+  setup(run) {
+    // Each ring rolls from its own seed, so a rewind finds the same rings ahead
+    run.practiceSeed = Math.floor(run.rng() * 0x100000000);
+
+    if (run.options.obstacles === false) {
+      run.difficulty = {
+        ...run.difficulty,
+        obstacles: { ...run.difficulty.obstacles, types: {} }
+      };
+    }
+  },
+
+  ringParams(run, i) {
+    const rng = mulberry32((run.practiceSeed + Math.imul(i, 0x9E3779B9)) >>> 0);
+    return rollRingParams(rng, i, run.difficulty);
+  },
+
+  // Nothing is stored for practice runs
+  getResult: () => null,
+  formatBest: () => '--',
+
+  // Rewinds aren't recorded, so a practice run can't be re-simulated
+  checkReplay: () => 'practice_run'
+};
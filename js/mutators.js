@@ -0,0 +1,134 @@
+// ======= MUTATOR REGISTRY MODULE =======
+// Opt-in run modifiers picked before a run. A mutator can retune the run's
+// difficulty profile (difficulty), add rules read by the simulation and renderer
+// (rules), and multiplies the run's XP (progression.js calculateRunXP). Runs with
+// mutators are kept out of the normal bests. The active IDs are stored with the
+// run (run.mutators) and in replays, so mutated runs re-simulate exactly.
+
+// ======= MUTATORS =======
+// difficulty(profile) -> adjusted copy of the difficulty profile
+// rules: { maxChainRings, criticalLives, mirrored }
+//   maxChainRings - most rings one escape can take (sim.js)
+//   criticalLives - Critical Orbits allowed; entering one more ends the run (sim.js)
+//   mirrored      - playfield drawn flipped left to right (script.js)
+const MUTATORS = {
+  mirrored: {
+    label: 'Mirrored',
+    description: 'The playfield is flipped left to right',
+    xpMultiplier: 1.1,
+    rules: { mirrored: true }
+  },
+
+  doubleSpeed: {
+    label: 'Double Speed',
+    description: 'Rings spin twice as fast',
+    xpMultiplier: 1.5,
+    difficulty(profile) {
+      const rings = profile.rings;
+      return {
+        ...profile,
+        rings: { ...rings, speedMin: rings.speedMin * 2, speedMax: rings.speedMax * 2, speedCap: rings.speedCap * 2 }
+      };
+    }
+  },
+
+  narrowGaps: {
+    label: 'Narrow Gaps',
+    description: 'Gaps are 30% narrower',
+    xpMultiplier: 1.3,
+    difficulty(profile) {
+      return { ...profile, rings: { ...profile.rings, gapWidth: profile.rings.gapWidth * 0.7 } };
+    }
+  },
+
+  noChains: {
+    label: 'No Chains',
+    description: 'Escape one ring at a time',
+    xpMultiplier: 1.25,
+    rules: { maxChainRings: 1 }
+  },
+
+  obstacleStorm: {
+    label: 'Obstacle Storm',
+    description: 'Obstacles show up three times earlier and twice as often',
+    xpMultiplier: 1.4,
+    difficulty(profile) {
+      const types = {};
+      for (const [id, spawn] of Object.entries(profile.obstacles.types)) {
+        types[id] = {
+          ...spawn,
+          startRing: Math.max(2, Math.floor(spawn.startRing / 3)),
+          rampStartRing: Math.max(2, Math.floor(spawn.rampStartRing / 3)),
+          chanceAtRampStart: Math.min(0.8, spawn.chanceAtRampStart * 2),
+          maxChance: Math.min(0.8, spawn.maxChance * 2)
+        };
+      }
+      return { ...profile, obstacles: { ...profile.obstacles, types } };
+    }
+  },
+
+  oneLifeCritical: {
+    label: 'One-Life Critical',
+    description: 'A second Critical Orbit ends the run',
+    xpMultiplier: 1.3,
+    rules: { criticalLives: 1 }
+  }
+};
+
+/**
+ * All mutators in display order
+ * @returns {array} [{ id, label, description, xpMultiplier }]
+ */
+export function listMutators() {
+  return Object.entries(MUTATORS).map(([id, m]) => ({
+    id,
+    label: m.label,
+    description: m.description,
+    xpMultiplier: m.xpMultiplier
+  }));
+}
+
+/**
+ * Check if id is a registered mutator
+ */
+export function isMutator(id) {
+  return Object.prototype.hasOwnProperty.call(MUTATORS, id);
+}
+
+/**
+ * Difficulty profile with the mutators' adjustments applied
+ */
+export function applyMutators(profile, ids) {
+  let adjusted = profile;
+  for (const id of ids) {
+    if (MUTATORS[id].difficulty) adjusted = MUTATORS[id].difficulty(adjusted);
+  }
+  return adjusted;
+}
+
+/**
+ * Combined rules of the mutators (see the rules list above)
+ */
+export function getMutatorRules(ids) {
+  const rules = {};
+  for (const id of ids) Object.assign(rules, MUTATORS[id].rules);
+  return rules;
+}
+
+/**
+ * XP multiplier for a set of mutators (product of each one's multiplier)
+ */
+export function getMutatorXpMultiplier(ids) {
+  let multiplier = 1;
+  for (const id of ids || []) {
+    if (isMutator(id)) multiplier *= MUTATORS[id].xpMultiplier;
+  }
+  return Math.round(multiplier * 100) / 100;
+}
+
+/**
+ * Display names for a set of mutators
+ */
+export function getMutatorLabels(ids) {
+  return ids.filter(isMutator).map(id => MUTATORS[id].label);
+}
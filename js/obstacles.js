@@ -0,0 +1,167 @@
+// ======= OBSTACLE REGISTRY MODULE =======
+// Each obstacle type defines how it is rolled onto a ring, how it moves over run
+// time and which arcs of the ring are solid. Collision and rendering both work
+// from those arcs, so a new type only needs an entry in OBSTACLE_TYPES plus a
+// spawn config in the difficulty profile (obstacles.types.<id>).
+
+import { rand, angNorm, getSpawnChance } from './spawn.js';
+
+// Default hit arc in radians. The renderer draws the triangle at 75% of the ring
+// spacing; at the reference portrait layout that spans ~0.31 rad of the current ring.
+// Kept as a constant so collisions don't depend on screen size.
+export const OBSTACLE_ARC_WIDTH = 0.31;
+
+const TWO_PI = Math.PI * 2;
+
+/**
+ * Offset from the gap center that keeps an obstacle at least 90 degrees from the gap
+ */
+function rollGapSafeOffset(rng, gapWidth) {
+  const minSeparation = Math.PI / 2;
+  const maxSeparation = TWO_PI - gapWidth - minSeparation;
+  return rand(rng, minSeparation, maxSeparation);
+}
+
+// ======= TYPES =======
+// roll(rng, gapWidth) -> params stored on the ring spec (plain JSON)
+// arcs(obstacle, gapCenter, t) -> [{ angle, width, solid }] in absolute angles
+// Arcs with solid: false are drawn as a warning outline and can't be hit.
+// params lists the numeric params a level file must give (see ringTypes.js).
+const OBSTACLE_TYPES = {
+  // Fixed to the ring, always solid
+  static: {
+    params: { offset: 'number' },
+    roll(rng, gapWidth) {
+      return { offset: rollGapSafeOffset(rng, gapWidth) };
+    },
+    arcs(obstacle, gapCenter) {
+      return [{ angle: gapCenter + obstacle.offset, width: OBSTACLE_ARC_WIDTH, solid: true }];
+    }
+  },
+
+  // Circles the ring on its own, ignoring the ring's rotation
+  orbiting: {
+    params: { startAngle: 'number', speed: 'number' },
+    roll(rng) {
+      return {
+        startAngle: rand(rng, 0, TWO_PI),
+        speed: (rng() < 0.5 ? -1 : 1) * rand(rng, 0.5, 1.1) // rad/s
+      };
+    },
+    arcs(obstacle, gapCenter, t) {
+      return [{ angle: obstacle.startAngle + obstacle.speed * t, width: OBSTACLE_ARC_WIDTH, solid: true }];
+    }
+  },
+
+  // Fixed to the ring, grows and shrinks
+  pulsing: {
+    params: { offset: 'number', phase: 'number', frequency: 'number' },
+    roll(rng, gapWidth) {
+      return {
+        offset: rollGapSafeOffset(rng, gapWidth),
+        phase: rand(rng, 0, TWO_PI),
+        frequency: rand(rng, 1.6, 2.6) // rad/s
+      };
+    },
+    arcs(obstacle, gapCenter, t) {
+      const pulse = 0.5 + 0.5 * Math.sin(obstacle.phase + t * obstacle.frequency);
+      return [{ angle: gapCenter + obstacle.offset, width: OBSTACLE_ARC_WIDTH * (0.35 + 1.05 * pulse), solid: true }];
+    }
+  },
+
+  // Two obstacles mirrored across the gap
+  paired: {
+    params: { offset: 'number' },
+    roll(rng) {
+      return { offset: rand(rng, Math.PI / 2, Math.PI * 0.85) };
+    },
+    arcs(obstacle, gapCenter) {
+      return [
+        { angle: gapCenter + obstacle.offset, width: OBSTACLE_ARC_WIDTH, solid: true },
+        { angle: gapCenter - obstacle.offset, width: OBSTACLE_ARC_WIDTH, solid: true }
+      ];
+    }
+  },
+
+  // Fixed to the ring, only solid for part of each cycle
+  periodic: {
+    params: { offset: 'number', period: 'positive', duty: 'number', phase: 'number' },
+    roll(rng, gapWidth) {
+      return {
+        offset: rollGapSafeOffset(rng, gapWidth),
+        period: rand(rng, 1.8, 2.8), // seconds
+        duty: 0.5,                   // Fraction of the period it is solid
+        phase: rng()
+      };
+    },
+    arcs(obstacle, gapCenter, t) {
+      const cycle = (obstacle.phase + t / obstacle.period) % 1;
+      return [{ angle: gapCenter + obstacle.offset, width: OBSTACLE_ARC_WIDTH * 1.2, solid: cycle < obstacle.duty }];
+    }
+  }
+};
+
+// Spawn order: rarer types get their roll first, static is the common fallback
+const SPAWN_ORDER = ['paired', 'orbiting', 'pulsing', 'periodic', 'static'];
+
+/**
+ * Roll the obstacle (if any) for ring i
+ * @param {function} rng - Random source returning [0, 1)
+ * @param {number} i - Ring index
+ * @param {number} gapWidth - Ring gap width
+ * @param {object} spawnConfig - Per-type spawn config (difficulty profile obstacles.types)
+ * @returns {object|null} { type, ...params } or null
+ */
+export function rollObstacle(rng, i, gapWidth, spawnConfig) {
+  for (const typeId of SPAWN_ORDER) {
+    const spawn = spawnConfig[typeId];
+    if (!spawn) continue;
+
+    const chance = getSpawnChance(spawn, i);
+    if (chance <= 0) continue;
+
+    if (rng() < chance) {
+      return { type: typeId, ...OBSTACLE_TYPES[typeId].roll(rng, gapWidth) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Check if typeId is a registered obstacle type
+ */
+export function isObstacleType(typeId) {
+  return Object.prototype.hasOwnProperty.call(OBSTACLE_TYPES, typeId);
+}
+
+/**
+ * Numeric params an obstacle type needs (see getRingShapeParams)
+ */
+export function getObstacleParams(typeId) {
+  return OBSTACLE_TYPES[typeId].params;
+}
+
+/**
+ * Arcs an obstacle covers at run time t
+ * @param {object} obstacle - Obstacle from rollObstacle
+ * @param {number} gapCenter - Ring gap center (pass an interpolated value when rendering)
+ * @param {number} t - Run time in seconds
+ * @returns {array} [{ angle, width, solid }]
+ */
+export function getObstacleArcs(obstacle, gapCenter, t) {
+  const type = OBSTACLE_TYPES[obstacle.type];
+  if (!type) return [];
+  return type.arcs(obstacle, gapCenter, t);
+}
+
+/**
+ * Check if the ball at ballAngle touches a solid part of the obstacle
+ */
+export function obstacleHits(obstacle, gapCenter, t, ballAngle) {
+  for (const arc of getObstacleArcs(obstacle, gapCenter, t)) {
+    if (arc.solid && Math.abs(angNorm(ballAngle - arc.angle)) <= arc.width * 0.5) {
+      return true;
+    }
+  }
+  return false;
+}
@@ -0,0 +1,106 @@
+// ======= PASS-AND-PLAY MODULE =======
+// Local multiplayer on one device: 2-8 named players take turns on the same seed
+// (so every turn gets the same ring layout), then are ranked by the mode's score
+// type. Party state lives only in memory; turns never touch playerData.
+
+import { getModeConfig } from './modes.js';
+import { isSeedableMode } from './seeds.js';
+
+export const PARTY_MIN_PLAYERS = 2;
+export const PARTY_MAX_PLAYERS = 8;
+const MAX_NAME_LENGTH = 16;
+
+/**
+ * Check if a mode can be played pass-and-play (seedable modes, see seeds.js)
+ */
+export function isPartyMode(modeId) {
+  return isSeedableMode(modeId);
+}
+
+/**
+ * Start a party
+ * @param {array} names - Player names in turn order (blank names become "Player N")
+ * @param {string} modeId - Party mode (see isPartyMode)
+ * @param {boolean} expert - Expert tier for every turn
+ * @param {number} seed - 32-bit run seed shared by every turn
+ * @returns {object} { mode, expert, seed, players: [{ name, result }], turn }
+ */
+export function createParty(names, modeId, expert, seed) {
+  const players = names.slice(0, PARTY_MAX_PLAYERS).map((name, k) => ({
+    name: String(name || '').trim().slice(0, MAX_NAME_LENGTH) || `Player ${k + 1}`,
+    result: null
+  }));
+  return { mode: modeId, expert: !!expert, seed: seed >>> 0, players, turn: 0 };
+}
+
+/**
+ * Same players again on a new seed
+ */
+export function restartParty(party, seed) {
+  return createParty(party.players.map(p => p.name), party.mode, party.expert, seed);
+}
+
+/**
+ * Player whose turn is next (null once everyone has played)
+ */
+export function getCurrentPlayer(party) {
+  return party.players[party.turn] || null;
+}
+
+export function isPartyOver(party) {
+  return party.turn >= party.players.length;
+}
+
+/**
+ * Store the current player's result and pass to the next player
+ * @param {object} result - { rings, time_ms, completed }
+ */
+export function recordTurn(party, result) {
+  const player = getCurrentPlayer(party);
+  if (!player) return;
+
+  player.result = {
+    rings: result.rings,
+    time_ms: Math.round(result.time_ms),
+    completed: !!result.completed
+  };
+  party.turn++;
+}
+
+/**
+ * Order two turn results, best first: time modes rank completed turns by time
+ * (unfinished ones after, by rings); ring modes by rings
+ */
+function compareResults(scoreType, a, b) {
+  if (scoreType === 'time') {
+    if (a.completed !== b.completed) return a.completed ? -1 : 1;
+    if (a.completed) return a.time_ms - b.time_ms;
+  }
+  return b.rings - a.rings;
+}
+
+/**
+ * Players who have played, best first; tied results share a rank
+ * @returns {array} [{ name, result, rank }]
+ */
+export function getStandings(party) {
+  const scoreType = getModeConfig(party.mode).scoreType;
+  const played = party.players.filter(p => p.result).sort((a, b) => compareResults(scoreType, a.result, b.result));
+
+  const standings = [];
+  for (const [k, player] of played.entries()) {
+    const tied = k > 0 && compareResults(scoreType, played[k - 1].result, player.result) === 0;
+    standings.push({ name: player.name, result: player.result, rank: tied ? standings[k - 1].rank : k + 1 });
+  }
+  return standings;
+}
+
+/**
+ * Turn result as shown on the scoreboard
+ */
+export function formatPartyResult(party, result) {
+  if (getModeConfig(party.mode).scoreType === 'time' && result.completed) {
+    return `${(result.time_ms / 1000).toFixed(1)}s`;
+  }
+  return `${result.rings} ring${result.rings === 1 ? '' : 's'}`;
+}
@@ -0,0 +1,155 @@
+// ======= POWER-UP MODULE =======
+// Pickups that spawn on rings and are collected when the ball passes over them.
+// Each type defines its HUD look and what it does to the run when collected;
+// spawn chance, weights and effect strengths come from the difficulty profile
+// (pickups section, see data/difficulty.json).
+
+import { getObstacleArcs } from './obstacles.js';
+import { rand, angNorm } from './spawn.js';
+
+// Pickup collection arc in radians (ball must pass within half of this)
+export const PICKUP_ARC_WIDTH = 0.24;
+
+// Keep pickups clear of the gap edge and of ring-fixed obstacles
+const PICKUP_GAP_MARGIN = 0.2;
+const PICKUP_OBSTACLE_CLEARANCE = 0.6;
+
+// Numeric params of a pickup on a ring, the same for every type (see getRingShapeParams)
+const PICKUP_PARAMS = { offset: 'number' };
+
+const TWO_PI = Math.PI * 2;
+
+// ======= TYPES =======
+// apply(run, config) changes the run when the pickup is collected
+const POWERUP_TYPES = {
+  // Absorbs one obstacle hit (the obstacle is destroyed)
+  shield: {
+    label: 'Shield',
+    icon: '🛡',
+    color: '#4FC3F7',
+    apply(run) {
+      run.powerups.shield = true;
+    }
+  },
+
+  // Slows the ball and rings for a few seconds (timers keep running)
+  slowmo: {
+    label: 'Slow-Mo',
+    icon: '🐢',
+    color: '#B388FF',
+    apply(run, config) {
+      run.powerups.slowmoTime = config.slowmoDuration;
+    }
+  },
+
+  // Vents pressure immediately (and ends Critical Orbit if it drops below the threshold)
+  vent: {
+    label: 'Vent',
+    icon: '💨',
+    color: '#FFD54F',
+    apply(run, config) {
+      run.pressure = Math.max(0, run.pressure - config.ventAmount);
+      if (run.criticalActive && run.pressure < run.abParams.criticalThreshold) {
+        run.criticalActive = false;
+        run.criticalElapsed = 0;
+      }
+    }
+  },
+
+  // Widens ring gaps for the next few rings
+  widen: {
+    label: 'Wide Gaps',
+    icon: '↔',
+    color: '#00E676',
+    apply(run, config) {
+      run.powerups.widenRings = config.widenRings;
+    }
+  }
+};
+
+/**
+ * Power-up state for a new run
+ */
+export function createPowerupState() {
+  return {
+    shield: false,
+    slowmoTime: 0, // Seconds of slow-motion left
+    widenRings: 0  // Rings left with widened gaps
+  };
+}
+
+/**
+ * Check if typeId is a registered power-up type
+ */
+export function isPowerupType(typeId) {
+  return Object.prototype.hasOwnProperty.call(POWERUP_TYPES, typeId);
+}
+
+/**
+ * Numeric params a pickup needs (any type)
+ */
+export function getPickupParams() {
+  return PICKUP_PARAMS;
+}
+
+/**
+ * Display info for a power-up type
+ * @returns {object} { label, icon, color }
+ */
+export function getPowerupInfo(typeId) {
+  const type = POWERUP_TYPES[typeId];
+  return { label: type.label, icon: type.icon, color: type.color };
+}
+
+/**
+ * Roll the pickup (if any) for ring i
+ * @param {function} rng - Random source returning [0, 1)
+ * @param {number} i - Ring index
+ * @param {number} gapWidth - Ring gap width
+ * @param {object|null} obstacle - The ring's obstacle (pickups avoid ring-fixed ones)
+ * @param {object} config - Difficulty profile pickups section
+ * @returns {object|null} { type, offset } (offset from the gap center) or null
+ */
+export function rollPickup(rng, i, gapWidth, obstacle, config) {
+  if (i < config.startRing) return null;
+  if (rng() >= config.chance) return null;
+
+  // Weighted type pick
+  const types = Object.keys(config.weights).filter(id => POWERUP_TYPES[id] && config.weights[id] > 0);
+  const total = types.reduce((sum, id) => sum + config.weights[id], 0);
+  let roll = rng() * total;
+  let type = types[types.length - 1];
+  for (const id of types) {
+    roll -= config.weights[id];
+    if (roll < 0) {
+      type = id;
+      break;
+    }
+  }
+
+  const margin = gapWidth / 2 + PICKUP_GAP_MARGIN;
+  const offset = rand(rng, margin, TWO_PI - margin);
+
+  // Drop the pickup if it would sit on an obstacle (arcs relative to a gap at 0)
+  if (obstacle && obstacle.type !== 'orbiting') {
+    for (const arc of getObstacleArcs(obstacle, 0, 0)) {
+      if (Math.abs(angNorm(offset - arc.angle)) < PICKUP_OBSTACLE_CLEARANCE) return null;
+    }
+  }
+
+  return { type, offset };
+}
+
+/**
+ * Check if the ball at ballAngle is over a ring's pickup
+ */
+export function pickupHit(pickup, gapCenter, ballAngle) {
+  return Math.abs(angNorm(ballAngle - (gapCenter + pickup.offset))) <= PICKUP_ARC_WIDTH * 0.5;
+}
+
+/**
+ * Apply a collected pickup to the run
+ */
+export function applyPickup(run, typeId) {
+  POWERUP_TYPES[typeId].apply(run, run.difficulty.pickups);
+}
@@ -3,6 +3,7 @@
 
 import { savePlayerData } from './storage.js';
 import * as telemetry from './telemetry.js';
+import { getMutatorXpMultiplier } from './mutators.js';
 
 // ======= XP SYSTEM =======
 
@@ -12,26 +13,36 @@ import * as telemetry from './telemetry.js';
  * - baseXp = floor(15 * sqrt(rings))
  * - chainXp = maxChain * 20
  * - criticalXp = criticalEscapes * 30
- * - modeBonus = sprintWin ? 80 : 0
+ * - modeBonus = mode's completionXp when the run completed its mode (Sprint: 80)
+ * - bossXp = bossClears * 100
+ * - mutatorXp = run XP above * (mutator multiplier - 1), see mutators.js
  * - missionXp added separately
  */
 export function calculateRunXP(summary) {
-  const { rings, maxChain, criticalEscapes, sprintWin } = summary;
+  const { rings, maxChain, criticalEscapes, modeBonus: completionXp, bossClears, mutators } = summary;
 
   const baseXp = Math.floor(15 * Math.sqrt(rings || 0));
   const chainXp = (maxChain || 1) * 20;
   const criticalXp = (criticalEscapes || 0) * 30;
-  const modeBonus = sprintWin ? 80 : 0;
+  const modeBonus = completionXp || 0;
+  const bossXp = (bossClears || 0) * 100;
 
-  const totalXp = baseXp + chainXp + criticalXp + modeBonus;
+  const runXp = baseXp + chainXp + criticalXp + modeBonus + bossXp;
+  const multiplier = getMutatorXpMultiplier(mutators);
+  const mutatorXp = Math.round(runXp * (multiplier - 1));
+
+  const totalXp = runXp + mutatorXp;
 
   return {
     total: totalXp,
+    multiplier,
     breakdown: {
       base: baseXp,
       chain: chainXp,
       critical: criticalXp,
-      modeBonus: modeBonus
+      modeBonus: modeBonus,
+      boss: bossXp,
+      mutators: mutatorXp
     }
   };
 }
@@ -242,11 +253,11 @@ export function checkAchievements(playerData, runSummary) {
         break;
 
       case 'sprintComplete':
-        unlocked = runSummary.sprintWin === true;
+        unlocked = runSummary.mode === 'sprint' && runSummary.completed === true;
         break;
 
       case 'sprintTime':
-        unlocked = runSummary.sprintWin && runSummary.time_ms <= achievement.threshold;
+        unlocked = runSummary.mode === 'sprint' && runSummary.completed === true && runSummary.time_ms <= achievement.threshold;
         break;
 
       case 'dailyStreak':
@@ -301,7 +312,9 @@ export async function processRunCompletion(playerData, runSummary) {
     rings: runSummary.rings,
     maxChain: runSummary.max_chain,
     criticalEscapes: runSummary.critical_escapes,
-    sprintWin: runSummary.sprintWin || false
+    modeBonus: runSummary.mode_bonus || 0,
+    bossClears: runSummary.boss_clears || 0,
+    mutators: runSummary.mutators
   });
 
   // 2. Add mission XP (already completed missions during run)
@@ -343,6 +356,7 @@ export async function processRunCompletion(playerData, runSummary) {
   return {
     xp: {
       earned: totalXp + achievementXp,
+      multiplier: xpResult.multiplier,
       breakdown: {
         ...xpResult.breakdown,
         missions: missionXp,
@@ -0,0 +1,16 @@
+// ======= SEEDED RANDOM MODULE =======
+// Deterministic random source shared by runs (replays) and daily patterns.
+
+/**
+ * Mulberry32 PRNG (deterministic seeded random)
+ * https://stackoverflow.com/a/47593316
+ */
+export function mulberry32(seed) {
+  return function() {
+    let t = seed += 0x6D2B79F5;
+    t = Math.imul(t ^ t >>> 15, t | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
@@ -0,0 +1,188 @@
+// ======= REPLAY MODULE =======
+// Records runs as compact input logs (setup + tap timeline) and plays them back
+// through the simulation. Stores the last few runs plus pinned favourites in playerData.
+
+import { savePlayerData } from './storage.js';
+import { createRun, step, tap } from './sim.js';
+import { getModeConfig } from './modes.js';
+import { mulberry32 } from './random.js';
+
+// Format 2: taps are simulation ticks (format 1 stored variable-step times)
+// Format 3: obstacle registry (ring rolls differ from format 2)
+// Format 4: power-up pickups on rings
+// Format 5: ring types (multi-gap, reversing, breathing, phased)
+// Format 6: boss rings in Endless
+// Format 7: spawn ramps hold chanceAtRampStart before rampStartRing (ring rolls differ from format 6)
+const REPLAY_FORMAT = 7;
+const MAX_RECENT_REPLAYS = 10;
+const MAX_PINNED_REPLAYS = 20;
+
+/**
+ * Start recording a run
+ * @param {object} setup - Everything needed to recreate the run
+ * @param {string} setup.mode - Mode ID
+ * @param {number} setup.seed - Run RNG seed
+ * @param {object} [setup.dailyPattern] - Daily pattern (modes with usesDailyPattern)
+ * @param {object} [setup.level] - Normalized level (modes with usesLevel)
+ * @param {boolean} setup.expert - Expert difficulty
+ * @param {object} setup.difficulty - Difficulty profile the run was played with
+ * @param {object} setup.abParams - A/B parameters the run was played with
+ * @returns {object} Replay being recorded
+ */
+export function startRecording(setup) {
+  return {
+    format: REPLAY_FORMAT,
+    id: Date.now().toString(36),
+    recordedAt: Date.now(),
+    mode: setup.mode,
+    seed: setup.seed,
+    dailyPattern: getModeConfig(setup.mode).usesDailyPattern ? setup.dailyPattern : null,
+    level: getModeConfig(setup.mode).usesLevel ? setup.level : null,
+    options: setup.options || null, // Mode options (e.g. Score Attack duration)
+    mutators: setup.mutators || [],
+    expert: setup.expert,
+    difficulty: setup.difficulty,
+    abParams: setup.abParams,
+    taps: [], // Simulation ticks at which the player tapped
+    result: null
+  };
+}
+
+/**
+ * Record a tap applied after simulation tick `tick` (run.tick when tapped)
+ */
+export function recordTap(replay, tick) {
+  replay.taps.push(tick);
+}
+
+/**
+ * Check a replay can be played back exactly with the current simulation
+ */
+export function isReplayPlayable(replay) {
+  return !!replay && replay.format === REPLAY_FORMAT;
+}
+
+/**
+ * Finish a recording with the run's outcome
+ * @param {object} replay - Replay being recorded
+ * @param {object} result - { rings, cause, time_ms }
+ */
+export function finishRecording(replay, result) {
+  replay.result = result;
+  return replay;
+}
+
+/**
+ * Store a finished replay in the recent list (oldest dropped first)
+ */
+export function saveReplay(playerData, replay) {
+  const recent = playerData.replays.recent;
+  recent.unshift(replay);
+  if (recent.length > MAX_RECENT_REPLAYS) {
+    recent.length = MAX_RECENT_REPLAYS;
+  }
+  savePlayerData(playerData);
+}
+
+/**
+ * Find a playable replay (recent or pinned) by ID
+ */
+export function getReplay(playerData, id) {
+  const replay = playerData.replays.pinned.find(r => r.id === id) ||
+    playerData.replays.recent.find(r => r.id === id);
+  return isReplayPlayable(replay) ? replay : null;
+}
+
+/**
+ * Playable replays, pinned and recent
+ * @returns {object} { pinned, recent }
+ */
+export function listReplays(playerData) {
+  return {
+    pinned: playerData.replays.pinned.filter(isReplayPlayable),
+    recent: playerData.replays.recent.filter(isReplayPlayable)
+  };
+}
+
+/**
+ * Check if a replay is pinned
+ */
+export function isReplayPinned(playerData, id) {
+  return playerData.replays.pinned.some(r => r.id === id);
+}
+
+/**
+ * Pin a replay so it survives the recent-runs rotation
+ * @returns {boolean} True if pinned
+ */
+export function pinReplay(playerData, id) {
+  if (isReplayPinned(playerData, id)) return true;
+
+  const replay = playerData.replays.recent.find(r => r.id === id);
+  if (!replay) return false;
+
+  if (playerData.replays.pinned.length >= MAX_PINNED_REPLAYS) {
+    console.warn('[Replays] Pinned replay limit reached');
+    return false;
+  }
+
+  playerData.replays.pinned.unshift(replay);
+  savePlayerData(playerData);
+  return true;
+}
+
+/**
+ * Unpin a replay
+ */
+export function unpinReplay(playerData, id) {
+  playerData.replays.pinned = playerData.replays.pinned.filter(r => r.id !== id);
+  savePlayerData(playerData);
+}
+
+/**
+ * Create a run set up exactly like the recorded one
+ * @param {object} replay - Replay (or any object with the same setup fields)
+ * @returns {object} Run state (see sim.js createRun)
+ */
+export function createReplayRun(replay) {
+  return createRun({
+    mode: replay.mode,
+    expert: replay.expert,
+    difficulty: replay.difficulty,
+    abParams: replay.abParams,
+    dailyPattern: replay.dailyPattern,
+    level: replay.level,
+    options: replay.options,
+    mutators: replay.mutators,
+    rng: mulberry32(replay.seed)
+  });
+}
+
+/**
+ * Create a playback cursor over a replay's tap timeline
+ */
+export function createPlayback(replay) {
+  return {
+    replay,
+    nextTap: 0
+  };
+}
+
+/**
+ * Advance a replay run by one tick, first re-applying taps recorded at this tick
+ * @param {object} run - Run created with createReplayRun
+ * @param {object} playback - Playback cursor
+ * @returns {array} Simulation events (see sim.js step)
+ */
+export function stepPlayback(run, playback) {
+  const taps = playback.replay.taps;
+  const events = [];
+
+  while (!run.over && playback.nextTap < taps.length && taps[playback.nextTap] <= run.tick) {
+    events.push(...tap(run));
+    playback.nextTap++;
+  }
+
+  events.push(...step(run));
+  return events;
+}
@@ -0,0 +1,49 @@
+// ======= REWIND MODULE =======
+// Rewind for practice runs (Zen mode): the run state is snapshotted a few times a
+// second and a rewind restores the snapshot from REWIND_SECONDS back. History goes
+// back further than one rewind, so rewinding again keeps stepping back.
+
+import { snapshotRun, restoreRun, SIM_HZ } from './sim.js';
+
+export const REWIND_SECONDS = 3;
+
+const SNAPSHOT_TICKS = SIM_HZ / 4;   // 4 snapshots per second
+const MAX_SNAPSHOTS = 4 * 30;        // 30 seconds of history
+
+/**
+ * Create an empty rewind history
+ */
+export function createRewindBuffer() {
+  return { snapshots: [] };
+}
+
+/**
+ * Snapshot the run if a snapshot is due (call after every tick, and once at the start)
+ */
+export function recordRewindPoint(buffer, run) {
+  if (run.tick % SNAPSHOT_TICKS !== 0) return;
+
+  const last = buffer.snapshots[buffer.snapshots.length - 1];
+  if (last && last.tick === run.tick) return;
+
+  buffer.snapshots.push(snapshotRun(run));
+  if (buffer.snapshots.length > MAX_SNAPSHOTS) buffer.snapshots.shift();
+}
+
+/**
+ * Restore the run to REWIND_SECONDS ago (or the oldest snapshot kept)
+ * @returns {boolean} False if there is nothing to rewind to
+ */
+export function rewindRun(buffer, run) {
+  const snapshots = buffer.snapshots;
+  if (snapshots.length === 0) return false;
+
+  const targetTick = run.tick - REWIND_SECONDS * SIM_HZ;
+  let k = snapshots.length - 1;
+  while (k > 0 && snapshots[k].tick > targetTick) k--;
+
+  // Later snapshots are in the rewound future
+  snapshots.length = k + 1;
+  restoreRun(run, snapshots[k]);
+  return true;
+}
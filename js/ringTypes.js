@@ -0,0 +1,154 @@
+// ======= RING TYPE REGISTRY MODULE =======
+// Ring archetypes beyond the classic ring (one gap of constant width). Each type
+// defines how it is rolled, how its rotation changes over run time and which
+// gaps it has. The escape raycast and the renderer both work from getShapeGaps(),
+// so a new type only needs an entry in RING_TYPES plus a spawn config in the
+// difficulty profile (rings.types.<id>).
+
+import { rand, getSpawnChance } from './spawn.js';
+
+const TWO_PI = Math.PI * 2;
+
+function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+
+// ======= TYPES =======
+// roll(rng) -> params stored on the ring spec as `shape` (plain JSON)
+// gaps(shape, gapCenter, gapWidth, t) -> [{ center, width, open }] in absolute angles
+// rotation(shape, t) -> multiplier for the ring's rotation speed (default 1)
+// Gaps with open: false are drawn closed and can't be escaped through.
+// exclusive: true means the ring never carries an obstacle or pickup.
+// params lists the numeric params a level file must give ('number', 'positive'
+// for > 0, 'count' for a whole number >= 1), see levels.js.
+const RING_TYPES = {
+  // Two or three evenly spaced, narrower gaps
+  multiGap: {
+    exclusive: true,
+    params: { count: 'count', widthFactor: 'positive' },
+    roll(rng) {
+      const count = rng() < 0.6 ? 2 : 3;
+      return { count, widthFactor: count === 2 ? 0.8 : 0.65 };
+    },
+    gaps(shape, gapCenter, gapWidth) {
+      const gaps = [];
+      for (let k = 0; k < shape.count; k++) {
+        gaps.push({ center: gapCenter + k * TWO_PI / shape.count, width: gapWidth * shape.widthFactor, open: true });
+      }
+      return gaps;
+    }
+  },
+
+  // Rotation eases to a stop and reverses every half period
+  reversing: {
+    params: { period: 'positive', phase: 'number' },
+    roll(rng) {
+      return {
+        period: rand(rng, 2.4, 3.6), // seconds for a full there-and-back cycle
+        phase: rng()
+      };
+    },
+    rotation(shape, t) {
+      return clamp(Math.cos(TWO_PI * (shape.phase + t / shape.period)) * 4, -1, 1);
+    }
+  },
+
+  // Gap width oscillates around the base width
+  breathing: {
+    params: { amplitude: 'number', phase: 'number', frequency: 'number' },
+    roll(rng) {
+      return {
+        amplitude: 0.35,               // Fraction of the base width
+        phase: rand(rng, 0, TWO_PI),
+        frequency: rand(rng, 1.4, 2.2) // rad/s
+      };
+    },
+    gaps(shape, gapCenter, gapWidth, t) {
+      const breath = 1 + shape.amplitude * Math.sin(shape.phase + t * shape.frequency);
+      return [{ center: gapCenter, width: gapWidth * breath, open: true }];
+    }
+  },
+
+  // Gap is only passable while lit (part of each cycle)
+  phased: {
+    params: { period: 'positive', duty: 'number', phase: 'number' },
+    roll(rng) {
+      return {
+        period: rand(rng, 1.6, 2.4), // seconds
+        duty: 0.55,                  // Fraction of the period it is lit
+        phase: rng()
+      };
+    },
+    gaps(shape, gapCenter, gapWidth, t) {
+      const cycle = (shape.phase + t / shape.period) % 1;
+      return [{ center: gapCenter, width: gapWidth, open: cycle < shape.duty }];
+    }
+  }
+};
+
+// Spawn order: rarer types get their roll first
+const SPAWN_ORDER = ['phased', 'multiGap', 'reversing', 'breathing'];
+
+/**
+ * Roll the ring type (if any) for ring i
+ * @param {function} rng - Random source returning [0, 1)
+ * @param {number} i - Ring index
+ * @param {object} spawnConfig - Per-type spawn config (difficulty profile rings.types)
+ * @returns {object|null} { type, ...params } or null for a classic ring
+ */
+export function rollRingShape(rng, i, spawnConfig) {
+  for (const typeId of SPAWN_ORDER) {
+    const spawn = spawnConfig[typeId];
+    if (!spawn) continue;
+
+    const chance = getSpawnChance(spawn, i);
+    if (chance <= 0) continue;
+
+    if (rng() < chance) {
+      return { type: typeId, ...RING_TYPES[typeId].roll(rng) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Check if typeId is a registered ring type
+ */
+export function isRingShapeType(typeId) {
+  return Object.prototype.hasOwnProperty.call(RING_TYPES, typeId);
+}
+
+/**
+ * Numeric params a ring type needs ({ key: 'number' | 'positive' | 'count' })
+ */
+export function getRingShapeParams(typeId) {
+  return RING_TYPES[typeId].params;
+}
+
+/**
+ * Whether a ring of this shape can carry an obstacle or pickup
+ */
+export function shapeAllowsExtras(shape) {
+  return !shape || !RING_TYPES[shape.type] || !RING_TYPES[shape.type].exclusive;
+}
+
+/**
+ * Multiplier for a ring's rotation speed at run time t (sign flips on reversing rings)
+ */
+export function getShapeRotation(shape, t) {
+  const type = shape && RING_TYPES[shape.type];
+  if (!type || !type.rotation) return 1;
+  return type.rotation(shape, t);
+}
+
+/**
+ * Gaps of a ring at run time t
+ * @param {object|null} shape - Ring shape from rollRingShape (null = classic ring)
+ * @param {number} gapCenter - Ring gap center (pass an interpolated value when rendering)
+ * @param {number} gapWidth - Base gap width
+ * @param {number} t - Run time in seconds
+ * @returns {array} [{ center, width, open }]
+ */
+export function getShapeGaps(shape, gapCenter, gapWidth, t) {
+  const type = shape && RING_TYPES[shape.type];
+  if (!type || !type.gaps) return [{ center: gapCenter, width: gapWidth, open: true }];
+  return type.gaps(shape, gapCenter, gapWidth, t);
+}
@@ -0,0 +1,69 @@
+// ======= RING GENERATION MODULE =======
+// Rolls ring parameters from a random source. Shared by the simulation
+// (procedural rings) and the daily pattern generator (seeded rings).
+// Speeds, gap width, drift and ring/obstacle spawns come from a difficulty profile
+// (see difficulty.js); ring types live in ringTypes.js, obstacle types in obstacles.js.
+
+import { rollRingShape, shapeAllowsExtras } from './ringTypes.js';
+import { rollObstacle } from './obstacles.js';
+import { rollPickup } from './powerups.js';
+
+// Drift wobble frequency (rad/s). Drift is a deterministic function of run time
+// so the same ring spec plays out the same way for every player.
+const DRIFT_FREQUENCY = 1.3;
+
+function rand(rng, a, b) { return a + rng() * (b - a); }
+
+/**
+ * Gap width for a difficulty profile (gap never shrinks with depth)
+ */
+export function getGapWidth(difficulty) {
+  return difficulty.rings.gapWidth;
+}
+
+/**
+ * Roll the parameters for ring i
+ * @param {function} rng - Random source returning [0, 1)
+ * @param {number} i - Ring index
+ * @param {object} difficulty - Difficulty profile (see difficulty.js)
+ * @returns {object} { gapCenter, gapWidth, rotSpeed, drift, driftPhase, shape, obstacle, pickup }
+ */
+export function rollRingParams(rng, i, difficulty) {
+  const rings = difficulty.rings;
+  const obstacles = difficulty.obstacles;
+
+  const gapWidth = getGapWidth(difficulty);
+  const gapCenter = rand(rng, 0, Math.PI * 2);
+
+  // difficulty from speed only
+  const baseRotSpeed =
+    (rng() < 0.5 ? -1 : 1) *
+    rand(rng, rings.speedMin, rings.speedMax) *
+    (1 + i * rings.speedPerIndex);
+  const rotSpeed = Math.min(Math.abs(baseRotSpeed), rings.speedCap) * Math.sign(baseRotSpeed);
+
+  const drift = rand(rng, 0.0, rings.driftMax);
+  const driftPhase = rand(rng, 0, Math.PI * 2);
+
+  // Ring type (multi-gap, reversing, breathing, phased; null = classic ring)
+  const shape = rollRingShape(rng, i, rings.types);
+  const allowsExtras = shapeAllowsExtras(shape);
+
+  // Obstacle (each type has its own ring-index spawn ramp)
+  const obstacle = allowsExtras ? rollObstacle(rng, i, gapWidth, obstacles.types) : null;
+
+  // Slow down rings that carry an obstacle
+  const finalRotSpeed = obstacle ? rotSpeed * obstacles.ringSpeedFactor : rotSpeed;
+
+  // Power-up pickup (see powerups.js)
+  const pickup = allowsExtras ? rollPickup(rng, i, gapWidth, obstacle, difficulty.pickups) : null;
+
+  return { gapCenter, gapWidth, rotSpeed: finalRotSpeed, drift, driftPhase, shape, obstacle, pickup };
+}
+
+/**
+ * Drift added to a ring's rotation speed at run time t (seconds)
+ */
+export function driftAt(ring, t) {
+  return Math.sin(ring.driftPhase + t * DRIFT_FREQUENCY) * ring.drift * 0.5;
+}
@@ -0,0 +1,74 @@
+// ======= DAY ROLLOVER MODULE =======
+// Notices a new day while the game stays open: a timer set for the next day reset
+// (re-armed at least hourly, so clock changes and a switched reset are caught) and
+// a check whenever the page becomes visible again. While the game can't switch
+// days (a run in progress) the switch is deferred and retried every few seconds.
+
+import { msUntilNextDay } from './dates.js';
+
+const MAX_TIMER_MS = 60 * 60 * 1000;
+const DEFER_RETRY_MS = 2000;
+const RESET_SLACK_MS = 1000; // Check just after the reset, not just before it
+
+/**
+ * Start watching for the day change
+ * @param {object} hooks
+ * @param {function} hooks.getReset - Current day reset ('local' or 'utc', see dates.js)
+ * @param {function} hooks.isNewDay - True once the day has changed
+ * @param {function} hooks.canRollOver - False to defer the switch (e.g. mid-run)
+ * @param {function} hooks.onNewDay - Switch to the new day ({ deferred }), may be async
+ * @returns {object} { check, stop } - check() re-checks now (e.g. after a settings change)
+ */
+export function startRolloverScheduler(hooks) {
+  let timer = null;
+  let rolling = false;
+  let deferred = false;
+
+  function arm(delay) {
+    clearTimeout(timer);
+    timer = setTimeout(check, delay);
+  }
+
+  async function check() {
+    if (rolling) return;
+
+    if (!hooks.isNewDay()) {
+      arm(Math.min(MAX_TIMER_MS, msUntilNextDay(hooks.getReset()) + RESET_SLACK_MS));
+      return;
+    }
+    if (!hooks.canRollOver()) {
+      if (!deferred) console.log('[Rollover] New day waits for the run to end');
+      deferred = true;
+      arm(DEFER_RETRY_MS);
+      return;
+    }
+
+    rolling = true;
+    try {
+      await hooks.onNewDay({ deferred });
+    } catch (e) {
+      console.error('[Rollover] Failed to switch to the new day:', e);
+      arm(DEFER_RETRY_MS);
+      return;
+    } finally {
+      rolling = false;
+    }
+    deferred = false;
+    check(); // Arm for the next day
+  }
+
+  function onVisibilityChange() {
+    if (document.visibilityState === 'visible') check();
+  }
+
+  document.addEventListener('visibilitychange', onVisibilityChange);
+  check();
+
+  return {
+    check,
+    stop() {
+      clearTimeout(timer);
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+    }
+  };
+}
@@ -0,0 +1,65 @@
+// ======= SEED CODE MODULE =======
+// Short, typeable codes for seeded runs, so a ring layout can be shared and retried.
+// A run's layout depends on its seed, mode and difficulty tier, so the code carries
+// all three: mode letter (MODES[mode].seedCode), "X" for Expert, then the 32-bit
+// seed in Crockford base32 (7 characters), e.g. "E-3F9K-2QA" or "SX-0Z4M-V1C".
+
+import { MODES } from './modes.js';
+
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const SEED_DIGITS = 7; // 35 bits, enough for a 32-bit seed
+
+// Commonly confused characters read as the digit they look like
+const ALIASES = { O: '0', I: '1', L: '1' };
+
+/**
+ * Check if a mode's runs can be shared by seed
+ */
+export function isSeedableMode(modeId) {
+  return !!(MODES[modeId] && MODES[modeId].seedCode);
+}
+
+/**
+ * Seed code for a run
+ * @param {string} modeId - Seedable mode (see isSeedableMode)
+ * @param {boolean} expert - Expert tier
+ * @param {number} seed - 32-bit run seed
+ * @returns {string} Code like "E-3F9K-2QA"
+ */
+export function formatSeedCode(modeId, expert, seed) {
+  let digits = '';
+  let rest = seed >>> 0;
+  for (let k = 0; k < SEED_DIGITS; k++) {
+    digits = ALPHABET[rest % 32] + digits;
+    rest = Math.floor(rest / 32);
+  }
+  const prefix = MODES[modeId].seedCode + (expert ? 'X' : '');
+  return `${prefix}-${digits.slice(0, 4)}-${digits.slice(4)}`;
+}
+
+/**
+ * Read a seed code (case, dashes and spaces don't matter)
+ * @param {string} text - Code as typed
+ * @returns {object|null} { mode, expert, seed } or null if it isn't a valid code
+ */
+export function parseSeedCode(text) {
+  const clean = String(text).toUpperCase().replace(/[^0-9A-Z]/g, '');
+  if (clean.length <= SEED_DIGITS) return null;
+
+  const prefix = clean.slice(0, -SEED_DIGITS);
+  let seed = 0;
+  for (const ch of clean.slice(-SEED_DIGITS)) {
+    const value = ALPHABET.indexOf(ALIASES[ch] || ch);
+    if (value < 0) return null;
+    seed = seed * 32 + value;
+  }
+  if (seed > 0xFFFFFFFF) return null;
+
+  const expert = prefix.length === 2 && prefix[1] === 'X';
+  if (prefix.length !== (expert ? 2 : 1)) return null;
+
+  const mode = Object.keys(MODES).find(id => MODES[id].seedCode === prefix[0]);
+  if (!mode) return null;
+
+  return { mode, expert, seed };
+}
@@ -0,0 +1,818 @@
+// ======= SIMULATION CORE MODULE =======
+// Headless, deterministic run simulation (extracted from the script.js IIFE)
+// State in, inputs in, events out: no DOM, no performance.now(), no Math.random().
+// The run advances in fixed ticks of SIM_DT and every timer reads simulated time,
+// so a run plays out the same at any frame rate. script.js accumulates real frame
+// time into ticks; tests and balance tools can drive it from Node with a seeded RNG.
+
+import { getModeConfig } from './modes.js';
+import { rollRingParams, driftAt } from './rings.js';
+import { getDifficultyProfile } from './difficulty.js';
+import { getShapeRotation, getShapeGaps } from './ringTypes.js';
+import { obstacleHits } from './obstacles.js';
+import { getBossPhase, getBossGapSpeed, bossArmsHit } from './boss.js';
+import { createPowerupState, pickupHit, applyPickup } from './powerups.js';
+import { applyMutators, getMutatorRules } from './mutators.js';
+
+// ======= RUN CONSTANTS =======
+// Fixed simulation rate
+export const SIM_HZ = 120;
+export const SIM_DT = 1 / SIM_HZ;
+
+// Rings kept alive around the ball (the renderer draws the same window)
+export const RING_WINDOW = {
+  PAST: 2,
+  FUTURE: 4
+};
+
+const TAP_WINDOW = 1000;          // 1 second window for spam detection (ms)
+const MAX_CHAIN_CHECK = 6;        // Cap chain length
+const QUICK_ESCAPE_WINDOW = 0.5;  // Quick succession window for glow rewards (seconds)
+
+// ======= HELPERS =======
+function rand(rng, a, b) { return a + rng() * (b - a); }
+function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+function lerp(a, b, t) { return a + (b - a) * t; }
+
+function angNorm(a) {
+  a %= (Math.PI * 2);
+  if (a < -Math.PI) a += Math.PI * 2;
+  if (a > Math.PI) a -= Math.PI * 2;
+  return a;
+}
+function angDiff(a, b) { return angNorm(a - b); }
+
+// ======= RUN SETUP =======
+
+/**
+ * Create a fresh run state
+ * @param {object} config - Run configuration
+ * @param {string} config.mode - Mode ID ('endless', 'daily', 'sprint', 'custom')
+ * @param {boolean} config.expert - Expert difficulty
+ * @param {object} [config.difficulty] - Difficulty profile, defaults to the mode's profile for the tier
+ * @param {object} config.abParams - A/B parameters (see ab.js getABParams)
+ * @param {object} [config.dailyPattern] - Daily pattern (daily mode only)
+ * @param {object} [config.level] - Normalized custom level (custom mode only, see levels.js)
+ * @param {object} [config.options] - Options picked before the run (Zen: { obstacles })
+ * @param {array} [config.mutators] - Mutator IDs (see mutators.js)
+ * @param {function} [config.rng] - Random source returning [0, 1), defaults to Math.random
+ * @param {object} [config.match] - Versus match the run is a player of (see createMatch)
+ * @returns {object} Run state
+ */
+export function createRun(config) {
+  const mutators = config.mutators || [];
+  const difficulty = config.difficulty || getDifficultyProfile(config.mode || 'endless', !!config.expert);
+
+  const run = {
+    mode: config.mode || 'endless',
+    expert: !!config.expert,
+    difficulty: applyMutators(difficulty, mutators),
+    mutators,
+    rules: getMutatorRules(mutators), // Mutator rules (maxChainRings, criticalLives, mirrored)
+    abParams: config.abParams,
+    dailyPattern: config.dailyPattern || null,
+    level: config.level || null,
+    options: config.options || {},
+    rng: config.rng || Math.random,
+
+    // Versus match this run is a player of (rings and random source are the match's)
+    match: config.match || null,
+
+    // Simulated clock: ticks of SIM_DT since run start, and the same in seconds
+    tick: 0,
+    time: 0,
+
+    escaped: 0,
+    rings: config.match ? config.match.rings : new Map(),
+
+    ballAngle: null, // Set below (mode setup hook, or random)
+    ballDir: 1,
+    orbitSpeed: 0,
+
+    // Values at the start of the last tick (for render interpolation)
+    prevBallAngle: 0,
+    prevEscapeTweenProgress: 0,
+
+    score: 0,
+    chain: 1,
+    chainTimer: 0,
+    timeSinceLastEscape: 999,  // Track time since last escape for chaining
+
+    // Pressure system
+    pressure: 0, // 0..1
+    criticalActive: false,
+    criticalStartTime: 0,
+    criticalElapsed: 0,
+    criticalWindow: config.abParams.criticalWindow,
+
+    // Seconds charged to the run clock by deaths (modes with a deathPenalty)
+    penaltyTime: 0,
+
+    // Active power-ups (see powerups.js)
+    powerups: createPowerupState(),
+
+    // Boss fight in progress (see boss.js): { ring, startTime, phase, armsBroken }
+    // armsBroken is the phase whose arms a shield destroyed
+    boss: null,
+
+    // Perfect streak
+    perfectStreak: 0,
+    bestPerfectStreak: 0,
+
+    timeInRing: 0,
+    maxRingTime: 0,
+
+    // Multi-ring escape animation (rings freeze until it lands)
+    pendingEscapes: [],
+    escapeTweenProgress: 0,
+    escapeTweenDuration: 0,
+    escapeTargetEscaped: 0,
+
+    // Run tracking (for telemetry)
+    runStartTime: 0,
+    runStats: {
+      maxChain: 1,
+      criticalEntries: 0,
+      criticalEscapes: 0,
+      pickups: { shield: 0, slowmo: 0, vent: 0, widen: 0 },
+      shieldBlocks: 0,
+      bossAttempts: 0,
+      bossClears: 0,
+      penalties: 0
+    },
+
+    // Tap tracking (for pressure spam detection)
+    lastTapTime: 0,
+    tapsInWindow: [],
+
+    // Set once the mode's goal is reached (mode isComplete hook, checked every tick)
+    completed: false,
+
+    // Set once the run has ended (death, completion or abort)
+    over: false,
+    endReason: null
+  };
+
+  // Mode state; the start angle is random unless the mode sets it
+  const mode = getModeConfig(run.mode);
+  if (mode.setup) mode.setup(run);
+  if (run.ballAngle === null) run.ballAngle = rand(run.rng, 0, Math.PI * 2);
+  run.prevBallAngle = run.ballAngle;
+  run.maxRingTime = run.difficulty.timer.maxRingTime;
+  run.runStartTime = now(run);
+
+  // A match fills its shared window once every player exists
+  if (!run.match) ensureWindow(run);
+  return run;
+}
+
+/**
+ * Run clock in ms (simulated time)
+ */
+function now(run) {
+  return run.time * 1000;
+}
+
+// ======= RINGS =======
+
+/**
+ * Parameters for ring i: from the mode's ringParams hook (daily pattern, level,
+ * boss rings), rolled otherwise
+ * @param {object} run - Run state
+ * @param {number} i - Ring index
+ * @returns {object} Ring parameters
+ */
+export function ringParamsForIndex(run, i) {
+  const mode = getModeConfig(run.mode);
+  const params = mode.ringParams ? mode.ringParams(run, i) : null;
+  return params || rollRingParams(run.rng, i, run.difficulty);
+}
+
+function ensureRing(run, i) {
+  if (run.rings.has(i)) return;
+  const { gapCenter, gapWidth, rotSpeed, drift, driftPhase, shape, obstacle, pickup, boss, timeLimit } = ringParamsForIndex(run, i);
+  run.rings.set(i, {
+    i,
+    gapCenter,
+    prevGapCenter: gapCenter,
+    gapWidth,
+    rotSpeed,
+    drift,
+    driftPhase,
+    shape: shape || null,
+    obstacle,
+    pickup,
+    boss: boss || null,
+    timeLimit: timeLimit || null // Hand-authored per-ring limit (custom levels)
+  });
+}
+
+/**
+ * Ring indices kept alive: around the ball, or around every ball of a match
+ * @returns {object} { start, end }
+ */
+export function getWindowRange(run) {
+  const balls = run.match ? run.match.players : [run];
+  let start = Infinity;
+  let end = -Infinity;
+  for (const ball of balls) {
+    start = Math.min(start, ball.escaped - RING_WINDOW.PAST);
+    end = Math.max(end, ball.escaped + RING_WINDOW.FUTURE);
+  }
+  return { start: Math.max(0, start), end };
+}
+
+function pruneRings(run, start, end) {
+  for (const k of run.rings.keys()) {
+    if (k < start || k > end) run.rings.delete(k);
+  }
+}
+
+/**
+ * Make sure every ring in the window around the ball exists (and prune the rest)
+ */
+export function ensureWindow(run) {
+  const { start, end } = getWindowRange(run);
+  for (let i = start; i <= end; i++) ensureRing(run, i);
+  pruneRings(run, start, end);
+}
+
+/**
+ * Turn a ring by one tick of its rotation and drift
+ */
+function turnRing(r, t, motionScale) {
+  const drift = driftAt(r, t);
+  const rotSpeed = r.rotSpeed * getShapeRotation(r.shape, t);
+  r.gapCenter = (r.gapCenter + (rotSpeed + drift) * SIM_DT * motionScale) % (Math.PI * 2);
+}
+
+/**
+ * Gap width clamped to a playable range
+ */
+export function effectiveGapWidth(ring) {
+  return clamp(ring.gapWidth, 0.08, 0.95);
+}
+
+/**
+ * Gap width the ball has to hit for a ring right now (widened by the gap power-up)
+ */
+export function getRingGapWidth(run, ring) {
+  const gw = effectiveGapWidth(ring);
+  if (run.powerups.widenRings > 0) {
+    return Math.min(gw * run.difficulty.pickups.widenFactor, 1.2);
+  }
+  return gw;
+}
+
+/**
+ * Gaps of a ring (one per gap; phased gaps report open: false while unlit)
+ * @param {object} run - Run state
+ * @param {object} ring - Ring from run.rings
+ * @param {number} [gapCenter] - Gap center (pass an interpolated value when rendering)
+ * @param {number} [t] - Run time in seconds
+ * @returns {array} [{ center, width, open }]
+ */
+export function getRingGaps(run, ring, gapCenter = ring.gapCenter, t = run.time) {
+  return getShapeGaps(ring.shape, gapCenter, getRingGapWidth(run, ring), t);
+}
+
+/**
+ * Time allowed in the current ring before 'time' death (seconds)
+ */
+export function getTimeLimit(run) {
+  if (run.boss) return run.difficulty.boss.timeLimit;
+
+  // Custom levels: per-ring limit, then the level's default
+  const ring = run.rings.get(run.escaped);
+  if (ring && ring.timeLimit) return ring.timeLimit;
+  if (run.level && run.level.timeLimit) return run.level.timeLimit;
+
+  const timer = run.difficulty.timer;
+  return Math.max(timer.minRingTime, run.maxRingTime - run.score * timer.decreasePerRing);
+}
+
+/**
+ * Seconds since the current boss fight started (0 if there is none)
+ */
+export function getBossElapsed(run, t = run.time) {
+  return run.boss ? Math.max(0, t - run.boss.startTime) : 0;
+}
+
+/**
+ * Start the boss fight if the ball just landed in a boss ring
+ * @returns {array} Events ({ type: 'boss_start', ring })
+ */
+function startBossIfLanded(run) {
+  const ring = run.rings.get(run.escaped);
+  if (!ring || !ring.boss) return [];
+
+  const phase = getBossPhase(0, run.difficulty.boss);
+  run.boss = { ring: ring.i, startTime: run.time, phase: phase.id, armsBroken: null };
+  run.runStats.bossAttempts++;
+  return [{ type: 'boss_start', ring: ring.i }];
+}
+
+/**
+ * Elapsed run time in ms (simulated time)
+ */
+export function getRunDuration(run) {
+  return now(run) - run.runStartTime;
+}
+
+// ======= SNAPSHOTS =======
+
+// Run fields set at creation that never change (shared by snapshots, not copied)
+const FIXED_RUN_FIELDS = ['mode', 'expert', 'difficulty', 'mutators', 'rules', 'abParams', 'dailyPattern', 'level', 'options', 'rng', 'match'];
+
+/**
+ * Copy of the run's changing state, for rewinding (see rewind.js)
+ * The random source isn't part of it: modes that rewind roll each ring from its
+ * own seed (see modes/zen.js).
+ */
+export function snapshotRun(run) {
+  const state = {};
+  for (const key of Object.keys(run)) {
+    if (!FIXED_RUN_FIELDS.includes(key)) state[key] = run[key];
+  }
+  return structuredClone(state);
+}
+
+/**
+ * Put the run back to a snapshot from snapshotRun
+ */
+export function restoreRun(run, snapshot) {
+  Object.assign(run, structuredClone(snapshot));
+}
+
+// ======= INPUT =======
+
+/**
+ * Reverse the ball's orbit direction
+ * @param {object} run - Run state
+ * @returns {array} Events ({ type: 'tap', pressure })
+ */
+export function tap(run) {
+  if (run.over) return [];
+
+  run.ballDir *= -1;
+
+  // Pressure system with spam detection
+  const t = now(run);
+
+  // Clean old taps outside window
+  run.tapsInWindow = run.tapsInWindow.filter(tapTime => t - tapTime < TAP_WINDOW);
+  run.tapsInWindow.push(t);
+
+  // Calculate spam multiplier (more taps = more pressure)
+  const tapsInLastSecond = run.tapsInWindow.length;
+  let spamMultiplier = 1.0;
+  if (tapsInLastSecond > 3) {
+    spamMultiplier = 1 + (tapsInLastSecond - 3) * 0.3; // +30% per tap over 3
+  }
+
+  // Add pressure (tap-based)
+  if (getModeConfig(run.mode).pressure) {
+    const baseTapPressure = run.abParams.pressureTapRate;
+    run.pressure = clamp(run.pressure + baseTapPressure * spamMultiplier, 0, 1);
+  }
+
+  run.lastTapTime = t;
+
+  return [{ type: 'tap', pressure: run.pressure }];
+}
+
+/**
+ * End the run from outside the simulation (e.g. mode switch)
+ * @returns {array} Events ({ type: 'end', reason })
+ */
+export function endRun(run, reason) {
+  if (run.over) return [];
+  run.over = true;
+  run.endReason = reason;
+  return [{ type: 'end', reason }];
+}
+
+/**
+ * The ball died. What that means is up to the mode: the run ends, a practice run
+ * reports it and goes on (the caller rewinds, see rewind.js), or a mode with a
+ * deathPenalty charges its clock and clears the hazard with clearHazard().
+ */
+function failRun(run, mode, reason, clearHazard) {
+  if (mode.practice) return [{ type: 'fail', reason }];
+
+  if (mode.deathPenalty) {
+    clearHazard();
+    run.penaltyTime += mode.deathPenalty;
+    run.runStats.penalties++;
+    run.chain = 1;
+    run.chainTimer = 0;
+    run.perfectStreak = 0;
+    return [{ type: 'penalty', reason, seconds: mode.deathPenalty }];
+  }
+
+  return endRun(run, reason);
+}
+
+// ======= STEP =======
+
+/**
+ * Advance the run by one fixed tick (SIM_DT seconds)
+ *
+ * Events emitted:
+ * - critical_enter                     Pressure crossed the critical threshold
+ * - escape { count, indices, critical, quick, chain }
+ * - escape_land { escaped }            Escape animation finished, ball is in its new ring
+ * - pickup { kind, ring }              Power-up collected
+ * - shield_break { ring }              Shield absorbed an obstacle hit (obstacle destroyed, or boss arms for the phase)
+ * - boss_start { ring }                Ball landed in a boss ring
+ * - boss_phase { ring, phase }         Boss fight moved to its next phase
+ * - boss_clear { ring, time }          Ball escaped the boss ring (time in seconds)
+ * - complete                           Mode goal reached (run is over)
+ * - end { reason }                     Run died ('pressure_fail', 'obstacle', 'time', 'boss')
+ * - fail { reason }                    Practice run would have died (run goes on)
+ * - penalty { reason, seconds }        Death charged to the clock (deathPenalty modes; run goes on)
+ *
+ * @param {object} run - Run state
+ * @returns {array} Events in the order they happened
+ */
+export function step(run) {
+  const events = [];
+  if (run.over) return events;
+
+  const dt = SIM_DT;
+  const mode = getModeConfig(run.mode);
+  run.tick++;
+  run.time = run.tick * SIM_DT;
+  ensureWindow(run);
+
+  // Snapshot for render interpolation (a match's shared rings are turned by stepMatch)
+  run.prevBallAngle = run.ballAngle;
+  run.prevEscapeTweenProgress = run.escapeTweenProgress;
+  if (!run.match) {
+    for (const r of run.rings.values()) r.prevGapCenter = r.gapCenter;
+  }
+
+  if (mode.pressure) {
+    // 1. Time-based pressure increase
+    run.pressure = clamp(run.pressure + run.abParams.pressureTimeRate * dt, 0, 1);
+
+    // 2. Natural pressure decay (slower than old heat)
+    run.pressure = clamp(run.pressure - run.difficulty.pressure.decayRate * dt, 0, 1);
+
+    // 3. Critical Orbit logic
+    if (!run.criticalActive && run.pressure >= run.abParams.criticalThreshold) {
+      run.criticalActive = true;
+      run.criticalStartTime = now(run);
+      run.runStats.criticalEntries++;
+      events.push({ type: 'critical_enter' });
+
+      // One-life critical: no more Critical Orbits after the allowed ones
+      if (run.rules.criticalLives && run.runStats.criticalEntries > run.rules.criticalLives) {
+        events.push(...failRun(run, mode, 'pressure_fail', () => {
+          run.pressure = 0;
+          run.criticalActive = false;
+        }));
+        return events;
+      }
+    }
+
+    if (run.criticalActive) {
+      // Update elapsed time in critical
+      run.criticalElapsed = (now(run) - run.criticalStartTime) / 1000;
+
+      // Check critical timeout (fail condition)
+      if (run.criticalElapsed >= run.criticalWindow) {
+        events.push(...failRun(run, mode, 'pressure_fail', () => {
+          run.pressure = 0;
+          run.criticalActive = false;
+          run.criticalElapsed = 0;
+        }));
+        return events;
+      }
+    }
+  }
+
+  // Orbit speed: pressure HIGH => ball SLOW, pressure LOW => ball FAST
+  const ball = run.difficulty.ball;
+  const baseFast = Math.min(ball.baseSpeed + run.score * ball.speedPerRing, ball.maxSpeed);
+  const slowFactor = lerp(1.00, ball.pressureSlowdown, run.pressure); // 0 pressure => 1x, 1 pressure => slowest
+  run.orbitSpeed = baseFast * slowFactor;
+
+  // Slow-motion power-up scales ring and ball motion (timers keep running)
+  let motionScale = 1;
+  if (run.powerups.slowmoTime > 0) {
+    motionScale = run.difficulty.pickups.slowmoFactor;
+    run.powerups.slowmoTime = Math.max(0, run.powerups.slowmoTime - dt);
+  }
+
+  // Boss phase (the script runs on time since the ball landed in the boss ring)
+  let bossPhase = null;
+  if (run.boss) {
+    bossPhase = getBossPhase(getBossElapsed(run), run.difficulty.boss);
+    if (bossPhase.id !== run.boss.phase) {
+      run.boss.phase = bossPhase.id;
+      run.boss.armsBroken = null;
+      events.push({ type: 'boss_phase', ring: run.boss.ring, phase: bossPhase.id });
+    }
+  }
+
+  // Rotate rings (freeze during multi-ring animation; a match's rings never freeze)
+  if (!run.match && run.pendingEscapes.length === 0) {
+    for (const r of run.rings.values()) {
+      if (bossPhase && r.i === run.boss.ring) {
+        const speed = getBossGapSpeed(r, bossPhase, run.ballAngle, run.orbitSpeed, run.difficulty.boss);
+        r.gapCenter = (r.gapCenter + speed * dt * motionScale) % (Math.PI * 2);
+        continue;
+      }
+      turnRing(r, run.time, motionScale);
+    }
+  }
+
+  // Ball angle
+  run.ballAngle = (run.ballAngle + run.ballDir * run.orbitSpeed * dt * motionScale) % (Math.PI * 2);
+
+  // Escape animation
+  if (run.pendingEscapes.length > 0) {
+    run.escapeTweenProgress = clamp(run.escapeTweenProgress + dt / run.escapeTweenDuration, 0, 1);
+
+    if (run.escapeTweenProgress >= 1) {
+      // NOW advance escaped to match the target
+      run.escaped = run.escapeTargetEscaped;
+      run.pendingEscapes = [];
+      run.escapeTweenProgress = 0;
+      ensureWindow(run);
+      events.push({ type: 'escape_land', escaped: run.escaped });
+      events.push(...startBossIfLanded(run));
+    }
+  }
+
+  const currentRing = run.rings.get(run.escaped);
+
+  // Pickup collection (not while flying between rings)
+  if (currentRing && currentRing.pickup && run.pendingEscapes.length === 0 &&
+      pickupHit(currentRing.pickup, currentRing.gapCenter, run.ballAngle)) {
+    const kind = currentRing.pickup.type;
+    currentRing.pickup = null;
+    applyPickup(run, kind);
+    run.runStats.pickups[kind]++;
+    events.push({ type: 'pickup', kind, ring: currentRing.i });
+  }
+
+  // Obstacle collision check (each obstacle type decides where it is solid)
+  if (currentRing && currentRing.obstacle &&
+      obstacleHits(currentRing.obstacle, currentRing.gapCenter, run.time, run.ballAngle)) {
+    if (run.powerups.shield) {
+      run.powerups.shield = false;
+      currentRing.obstacle = null;
+      run.runStats.shieldBlocks++;
+      events.push({ type: 'shield_break', ring: currentRing.i });
+    } else {
+      events.push(...failRun(run, mode, 'obstacle', () => { currentRing.obstacle = null; }));
+      return events;
+    }
+  }
+
+  // Boss arms (a shield breaks them for the rest of the phase)
+  if (bossPhase && bossPhase.arms && currentRing && run.boss.armsBroken !== bossPhase.id &&
+      bossArmsHit(currentRing.boss, run.difficulty.boss, getBossElapsed(run), run.ballAngle)) {
+    if (run.powerups.shield) {
+      run.powerups.shield = false;
+      run.boss.armsBroken = bossPhase.id;
+      run.runStats.shieldBlocks++;
+      events.push({ type: 'shield_break', ring: currentRing.i });
+    } else {
+      events.push(...failRun(run, mode, 'boss', () => { run.boss.armsBroken = bossPhase.id; }));
+      return events;
+    }
+  }
+
+  // Track time since last escape for chain detection
+  run.timeSinceLastEscape += dt;
+
+  // Always increment timeInRing
+  run.timeInRing += dt;
+
+  const timeLimit = getTimeLimit(run);
+  if (mode.ringTimer && run.timeInRing > timeLimit) {
+    events.push(...failRun(run, mode, run.boss ? 'boss' : 'time', () => { run.timeInRing = 0; }));
+    return events;
+  }
+
+  // Chain timer
+  run.chainTimer = Math.max(0, run.chainTimer - dt);
+  if (run.chainTimer === 0) run.chain = 1;
+
+  // Escape / chain (only skip if animating)
+  if (run.pendingEscapes.length === 0) {
+    const escape = checkEscape(run, timeLimit);
+    if (escape) {
+      events.push(escape);
+
+      // Escaping the boss ring clears it
+      if (run.boss) {
+        events.push({ type: 'boss_clear', ring: run.boss.ring, time: getBossElapsed(run) });
+        run.runStats.bossClears++;
+        run.boss = null;
+      }
+    }
+  }
+
+  ensureWindow(run);
+
+  // Mode goal reached
+  if (mode.isComplete && mode.isComplete(run)) run.completed = true;
+  if (run.completed) {
+    run.over = true;
+    run.endReason = 'complete';
+    events.push({ type: 'complete' });
+  }
+
+  return events;
+}
+
+/**
+ * Spatial chain: raycast outward from the ball and escape every aligned ring
+ * @returns {object|null} escape event
+ */
+function checkEscape(run, timeLimit) {
+  const aligned = [];
+
+  // Check current ring and subsequent rings for alignment
+  const maxRings = run.rules.maxChainRings || MAX_CHAIN_CHECK;
+  for (let i = 0; i < maxRings; i++) {
+    const ringIndex = run.escaped + i;
+    ensureRing(run, ringIndex);
+    const r = run.rings.get(ringIndex);
+    if (!r) break;
+
+    // A boss ring has to be faced: chains stop in front of it
+    if (r.boss && ringIndex !== run.escaped) break;
+
+    // Check if ball is aligned with one of this ring's open gaps (exact alignment required)
+    const inGap = getRingGaps(run, r).some(gap =>
+      gap.open && Math.abs(angDiff(run.ballAngle, gap.center)) <= gap.width / 2
+    );
+    if (inGap) {
+      aligned.push({ index: ringIndex });
+    } else {
+      // First misaligned ring breaks the chain
+      break;
+    }
+  }
+
+  if (aligned.length === 0) return null;
+
+  const count = aligned.length;
+
+  // Check if this escape qualifies for quick succession glow BEFORE resetting timer
+  const isQuickSuccession = (run.timeSinceLastEscape <= QUICK_ESCAPE_WINDOW);
+
+  // Update perfect streak based on first ring timing
+  const firstRingFrac = clamp(run.timeInRing / Math.max(0.0001, timeLimit), 0, 1);
+  if (firstRingFrac <= 0.05) {
+    run.perfectStreak += 1;
+  } else {
+    run.perfectStreak = 0;
+  }
+  run.bestPerfectStreak = Math.max(run.bestPerfectStreak, run.perfectStreak);
+
+  // Critical Orbit escape handling
+  const wasCritical = run.criticalActive;
+  if (wasCritical) {
+    // Critical escape! Full pressure reset
+    run.pressure = 0;
+    run.criticalActive = false;
+    run.criticalElapsed = 0;
+    run.runStats.criticalEscapes++;
+  } else {
+    // Normal escape: partial pressure reset
+    run.pressure = Math.max(0, run.pressure - run.abParams.partialResetAmount);
+  }
+
+  // Widened gaps last a fixed number of rings
+  run.powerups.widenRings = Math.max(0, run.powerups.widenRings - count);
+
+  // Update score immediately, but DON'T advance escaped yet (wait for animation)
+  run.score += count;
+  run.timeInRing = 0;
+  run.timeSinceLastEscape = 0;
+
+  // Mode hook: escape reaction
+  const mode = getModeConfig(run.mode);
+  if (mode.onEscape) mode.onEscape(run, count);
+
+  // Queue the escape animation
+  run.pendingEscapes = aligned;
+  run.escapeTweenProgress = 0;
+  run.escapeTargetEscaped = run.escaped + count;
+
+  if (count > 1) {
+    // Multi-ring chain
+    const escape = run.difficulty.escape;
+    run.escapeTweenDuration = escape.chainTween + (count - 1) * escape.chainTweenPerRing;
+    run.escapeTweenDuration = Math.min(run.escapeTweenDuration, escape.maxTween);
+
+    run.chainTimer = 1.15 * count;
+    run.chain = Math.min(9, run.chain + count);
+  } else {
+    // Single escape
+    run.escapeTweenDuration = run.difficulty.escape.singleTween;
+
+    run.chainTimer = 1.15;
+    run.chain = Math.min(9, run.chain + 1);
+  }
+
+  // Track max chain for stats
+  run.runStats.maxChain = Math.max(run.runStats.maxChain, run.chain);
+
+  return {
+    type: 'escape',
+    count,
+    indices: aligned.map(a => a.index),
+    critical: wasCritical,
+    quick: isQuickSuccession,
+    chain: run.chain
+  };
+}
+
+// ======= MATCHES =======
+// Same-screen versus: several balls on one ring stack. Each player is a run of
+// its own (ball, pressure and Critical Orbit, score, chain, power-ups, ring timer)
+// but the players share the rings and the random source. stepMatch() turns the
+// rings once per tick, then steps every player. Pickups and shield-cleared
+// obstacles are taken off the shared rings for everyone.
+
+/**
+ * Create a versus match (config as for createRun)
+ * @param {object} config - Run configuration shared by every player
+ * @param {number} playerCount - Number of balls
+ * @returns {object} { rings, players, tick, time, over, winner }
+ */
+export function createMatch(config, playerCount) {
+  const match = {
+    rings: new Map(),
+    players: [],
+    tick: 0,
+    time: 0,
+    over: false,
+    winner: null // Index of the winning player, or null for a draw (once over)
+  };
+
+  const rng = config.rng || Math.random;
+  for (let k = 0; k < playerCount; k++) {
+    match.players.push(createRun({ ...config, rng, match }));
+  }
+
+  // Everyone starts from the same spot
+  for (const player of match.players) {
+    player.ballAngle = match.players[0].ballAngle;
+    player.prevBallAngle = player.ballAngle;
+  }
+
+  ensureWindow(match.players[0]);
+  return match;
+}
+
+/**
+ * Winner of a finished match: a player who reached the goal, else the last ball
+ * standing; ties go to the most rings (equal rings is a draw)
+ */
+function decideWinner(players) {
+  const completed = players.filter(p => p.completed);
+  const alive = players.filter(p => !p.over);
+  const contenders = completed.length > 0 ? completed : alive.length > 0 ? alive : players;
+
+  const top = Math.max(...contenders.map(p => p.score));
+  const leaders = contenders.filter(p => p.score === top);
+  return leaders.length === 1 ? players.indexOf(leaders[0]) : null;
+}
+
+/**
+ * Advance a match by one fixed tick
+ * The match is over once a player completes the mode's goal, or once at most one
+ * ball is left; players still going then end with reason 'match_over'.
+ * @param {object} match - Match state (see createMatch)
+ * @returns {object} { events: one event list per player (see step), over }
+ */
+export function stepMatch(match) {
+  const events = match.players.map(() => []);
+  if (match.over) return { events, over: true };
+
+  match.tick++;
+  match.time = match.tick * SIM_DT;
+  for (const r of match.rings.values()) {
+    r.prevGapCenter = r.gapCenter;
+    turnRing(r, match.time, 1);
+  }
+
+  match.players.forEach((player, k) => events[k].push(...step(player)));
+
+  const alive = match.players.filter(p => !p.over);
+  if (match.players.some(p => p.completed) || alive.length <= 1) {
+    match.over = true;
+    match.winner = decideWinner(match.players);
+    match.players.forEach((player, k) => events[k].push(...endRun(player, 'match_over')));
+  }
+
+  return { events, over: match.over };
+}
@@ -0,0 +1,32 @@
+// ======= SPAWN HELPER MODULE =======
+// Helpers shared by the registries that roll things onto rings (ringTypes.js,
+// obstacles.js, powerups.js): value rolls, angle wrapping and per-type spawn ramps.
+
+const TWO_PI = Math.PI * 2;
+
+/**
+ * Random value in [a, b) from a random source
+ */
+export function rand(rng, a, b) { return a + rng() * (b - a); }
+
+/**
+ * Wrap an angle into [-PI, PI]
+ */
+export function angNorm(a) {
+  a %= TWO_PI;
+  if (a < -Math.PI) a += TWO_PI;
+  if (a > Math.PI) a -= TWO_PI;
+  return a;
+}
+
+/**
+ * Spawn chance for a type at ring i: chanceAtRampStart until rampStartRing (from
+ * startRing on), then ramps linearly to maxChance over rampRings
+ * @param {object} spawn - { startRing, chanceAtRampStart, maxChance, rampStartRing, rampRings }
+ * @param {number} i - Ring index
+ */
+export function getSpawnChance(spawn, i) {
+  if (i < spawn.startRing) return 0;
+  const progress = Math.max(0, Math.min(1, (i - spawn.rampStartRing) / spawn.rampRings));
+  return spawn.chanceAtRampStart + progress * (spawn.maxChance - spawn.chanceAtRampStart);
+}
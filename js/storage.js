@@ -19,9 +19,19 @@ const PLAYER_DATA_TEMPLATE = {
   bestScore: {
     endless: 0,
     daily: 0,
-    sprint: 0
+    sprint: 0,
+    scoreAttack: {} // Best rings per clock length (seconds)
   },
 
+  // Daily Orbit result per date (YYYY-MM-DD): { attempts, completed, bestRings, bestTime_ms }
+  dailyResults: {},
+
+  // Best completion time (ms) per custom level ID
+  levelBests: {},
+
+  // Level being built in the level editor (normalized level, see levels.js)
+  editorDraft: null,
+
   // Current session stats
   stats: {
     totalRuns: 0,
@@ -29,16 +39,24 @@ const PLAYER_DATA_TEMPLATE = {
     deaths: {
       pressure_fail: 0,
       obstacle: 0,
-      time: 0
+      time: 0,
+      boss: 0
     },
     criticalEscapes: 0,
     dailyStreak: 0,
-    lastDailyDate: null
+    lastDailyDate: null,
+    streakFreezes: 0,     // Held streak freezes (see streaks.js)
+    freezeProgress: 0,    // Daily clears towards the next freeze
+    lastFreezeDate: null  // Day a freeze last saved the streak
   },
 
   // Settings
   settings: {
     expert: false,
+    practiceObstacles: true, // Zen mode: play with obstacles
+    scoreAttackDuration: 60, // Score Attack clock (seconds)
+    mutators: [],            // Mutator IDs picked for the next run (see mutators.js)
+    dayReset: 'local',       // When a new day starts: 'local' or 'utc' midnight (see dates.js)
     soundEnabled: true,
     hapticEnabled: true
   },
@@ -64,6 +82,17 @@ const PLAYER_DATA_TEMPLATE = {
     achievements: []
   },
 
+  // Replays (recent runs rotate out, pinned ones are kept)
+  replays: {
+    recent: [],
+    pinned: []
+  },
+
+  // Sprint 30 personal best ghost (see ghost.js)
+  ghosts: {
+    sprint: null
+  },
+
   // Selected cosmetics
   cosmetics: {
     trailId: 'default',
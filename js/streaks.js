@@ -0,0 +1,79 @@
+// ======= DAILY STREAK MODULE =======
+// Consecutive days played (stats.dailyStreak), counted in date IDs (see dates.js).
+// Streak freezes are earned by clearing the Daily Orbit: every FREEZE_EARN_CLEARS
+// days with a clear earn one (up to MAX_STREAK_FREEZES held). A held freeze is used
+// up automatically for each missed day, so the streak carries on.
+
+import { isDateId, daysBetween } from './dates.js';
+
+export const MAX_STREAK_FREEZES = 2;
+export const FREEZE_EARN_CLEARS = 3;
+
+/**
+ * Check if the day changed since the streak was last updated
+ * (a date earlier than the last one, e.g. after switching the day reset, isn't new)
+ * @param {object} playerData - Player data object
+ * @param {string} currentDateId - Today's date ID
+ * @returns {boolean} True if new day
+ */
+export function isNewDay(playerData, currentDateId) {
+  const lastDate = playerData.stats.lastDailyDate;
+  return !isDateId(lastDate) || daysBetween(lastDate, currentDateId) > 0;
+}
+
+/**
+ * Update daily streak when player plays on a new day
+ * @param {object} playerData - Player data object
+ * @param {string} currentDateId - Today's date ID (YYYY-MM-DD)
+ * @returns {number} Streak freezes used up to cover missed days
+ */
+export function updateDailyStreak(playerData, currentDateId) {
+  const stats = playerData.stats;
+  const lastDate = stats.lastDailyDate;
+
+  if (!isDateId(lastDate)) {
+    // First time playing
+    stats.dailyStreak = 1;
+    stats.lastDailyDate = currentDateId;
+    console.log('[Streak] Started daily streak: 1 day');
+    return 0;
+  }
+
+  const gap = daysBetween(lastDate, currentDateId);
+  if (gap <= 0) return 0; // Same day (or the day reset moved back)
+
+  const missed = gap - 1;
+  let freezesUsed = 0;
+  if (missed === 0) {
+    stats.dailyStreak++;
+    console.log(`[Streak] Daily streak continued: ${stats.dailyStreak} days`);
+  } else if (missed <= stats.streakFreezes) {
+    freezesUsed = missed;
+    stats.streakFreezes -= missed;
+    stats.lastFreezeDate = currentDateId;
+    stats.dailyStreak++;
+    console.log(`[Streak] ${missed} streak freeze(s) used, streak continued: ${stats.dailyStreak} days`);
+  } else {
+    stats.dailyStreak = 1;
+    console.log('[Streak] Streak broken, resetting to 1 day');
+  }
+  stats.lastDailyDate = currentDateId;
+  return freezesUsed;
+}
+
+/**
+ * Count a day's first Daily Orbit clear towards the next streak freeze
+ * @returns {boolean} True if a freeze was earned
+ */
+export function recordDailyClear(playerData) {
+  const stats = playerData.stats;
+  if (stats.streakFreezes >= MAX_STREAK_FREEZES) return false;
+
+  stats.freezeProgress++;
+  if (stats.freezeProgress < FREEZE_EARN_CLEARS) return false;
+
+  stats.freezeProgress = 0;
+  stats.streakFreezes++;
+  console.log(`[Streak] Earned a streak freeze (${stats.streakFreezes} held)`);
+  return true;
+}
@@ -188,7 +188,16 @@ export function logRunEnd(summary) {
     time_ms: summary.time_ms || 0,
     max_chain: summary.max_chain || 1,
     critical_entries: summary.critical_entries || 0,
-    critical_escapes: summary.critical_escapes || 0
+    critical_escapes: summary.critical_escapes || 0,
+    pickups_collected: summary.pickups_collected || 0,
+    pickup_shield: summary.pickup_shield || 0,
+    pickup_slowmo: summary.pickup_slowmo || 0,
+    pickup_vent: summary.pickup_vent || 0,
+    pickup_widen: summary.pickup_widen || 0,
+    shield_blocks: summary.shield_blocks || 0,
+    boss_attempts: summary.boss_attempts || 0,
+    boss_clears: summary.boss_clears || 0,
+    mutators: summary.mutators || ''
   });
 }
 
@@ -0,0 +1,112 @@
+// ======= SCORE VERIFICATION MODULE =======
+// Re-simulates a submitted replay headlessly and checks the claimed result.
+// No DOM and no storage access, so the same code can run in the browser or on
+// a server (Node) before a score is trusted by a leaderboard or challenge.
+
+import { isMode, getModeConfig } from './modes.js';
+import { isMutator } from './mutators.js';
+import { getABParams } from './ab.js';
+import { SIM_HZ, getRunDuration } from './sim.js';
+import { isReplayPlayable, createReplayRun, createPlayback, stepPlayback } from './replays.js';
+
+// Longest run we are willing to re-simulate (1 hour of simulated time)
+const DEFAULT_MAX_TICKS = SIM_HZ * 60 * 60;
+
+/**
+ * Check a replay's setup and tap timeline before simulating it
+ * @returns {string|null} Problem found, or null if the replay is well-formed
+ */
+function checkReplayShape(replay) {
+  if (!isReplayPlayable(replay)) return 'unsupported_format';
+  if (!isMode(replay.mode)) return 'unknown_mode';
+  if (!Number.isInteger(replay.seed) || replay.seed < 0 || replay.seed > 0xFFFFFFFF) return 'bad_seed';
+  if (typeof replay.expert !== 'boolean') return 'bad_settings';
+  if (!replay.result) return 'missing_result';
+
+  // A/B parameters must be one of the real cohorts (no custom pressure tuning)
+  const abJson = JSON.stringify(replay.abParams);
+  if (abJson !== JSON.stringify(getABParams('A')) && abJson !== JSON.stringify(getABParams('B'))) {
+    return 'bad_ab_params';
+  }
+
+  // Mode-specific setup (e.g. the daily pattern or the level)
+  const mode = getModeConfig(replay.mode);
+  if (mode.checkReplay) {
+    const problem = mode.checkReplay(replay);
+    if (problem) return problem;
+  }
+
+  // Mutators must be real ones the mode allows (old replays have none). A Daily's
+  // featured mutators are checked against its pattern by the mode.
+  const mutators = replay.mutators || [];
+  if (!Array.isArray(mutators) || !mutators.every(isMutator) || new Set(mutators).size !== mutators.length) {
+    return 'bad_mutators';
+  }
+  if (mutators.length > 0 && !mode.allowsMutators && !mode.usesDailyPattern) return 'bad_mutators';
+
+  // Difficulty must be the profile the mode (or level) uses for this tier (load profiles first)
+  const expectedDifficulty = mode.getDifficulty(replay.expert, replay.level);
+  if (JSON.stringify(replay.difficulty) !== JSON.stringify(expectedDifficulty)) {
+    return 'bad_difficulty';
+  }
+
+  // Taps are non-decreasing tick numbers
+  if (!Array.isArray(replay.taps)) return 'bad_taps';
+  for (let i = 0; i < replay.taps.length; i++) {
+    const tick = replay.taps[i];
+    if (!Number.isInteger(tick) || tick < 0 || (i > 0 && tick < replay.taps[i - 1])) {
+      return 'bad_taps';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Re-simulate a replay and compare the outcome with its claimed result
+ *
+ * Runs ended from outside the simulation (e.g. 'mode_switch') can't be
+ * reproduced and never verify.
+ *
+ * @param {object} replay - Submitted replay (see replays.js startRecording)
+ * @param {object} [options]
+ * @param {number} [options.maxTicks] - Give up after this many ticks
+ * @returns {object} { valid, reason, claimed, actual, mismatches }
+ */
+export function verifyReplay(replay, { maxTicks = DEFAULT_MAX_TICKS } = {}) {
+  const claimed = replay ? replay.result : null;
+
+  const problem = checkReplayShape(replay);
+  if (problem) {
+    return { valid: false, reason: problem, claimed, actual: null, mismatches: [] };
+  }
+
+  const run = createReplayRun(replay);
+  const playback = createPlayback(replay);
+  while (!run.over && run.tick < maxTicks) {
+    stepPlayback(run, playback);
+  }
+
+  if (!run.over) {
+    return { valid: false, reason: 'did_not_end', claimed, actual: null, mismatches: [] };
+  }
+
+  const actual = {
+    rings: run.score,
+    cause: run.endReason,
+    time_ms: Math.round(getRunDuration(run))
+  };
+
+  const mismatches = ['rings', 'cause', 'time_ms'].filter(key => actual[key] !== claimed[key]);
+  if (playback.nextTap < replay.taps.length) {
+    mismatches.push('taps_after_end');
+  }
+
+  return {
+    valid: mismatches.length === 0,
+    reason: mismatches.length === 0 ? null : 'result_mismatch',
+    claimed,
+    actual,
+    mismatches
+  };
+}
@@ -26,7 +26,7 @@ export const APP_VERSION = 'pv02.2';
  *
  * CRITICAL: Bump this before EVERY GitHub Pages deploy
  */
-export const BUILD_NUMBER = '003';
+export const BUILD_NUMBER = '004';
 
 /**
  * FULL_VERSION: Combined version string
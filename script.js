@@ -5,12 +5,34 @@ import { initPlayerData, savePlayerData, getVersion } from './js/storage.js';
 import { getEnvInfo, logEnvInfo } from './js/env.js';
 import { ensureABGroup, getABParams, getExperimentInfo } from './js/ab.js';
 import * as telemetry from './js/telemetry.js';
-import { MODES, getModeConfig, getTodayId, getDailyPattern, getDailyGapCenter, isNewDay, updateDailyStreak } from './js/modes.js';
+import { MODES, getModeConfig, createRunSeed } from './js/modes.js';
+import { DAY_RESETS, getTodayId, formatDayLabel } from './js/dates.js';
+import { MAX_STREAK_FREEZES, FREEZE_EARN_CLEARS, isNewDay, updateDailyStreak, recordDailyClear } from './js/streaks.js';
+import { startRolloverScheduler } from './js/rollover.js';
+import { loadDailySeeds, getDailyPattern, buildDailyPattern } from './js/modes/daily.js';
+import { recordDailyResult, getDailyResult, getArchiveDays, formatDailyResult } from './js/dailyArchive.js';
+import { SCORE_ATTACK_DURATIONS } from './js/modes/scoreAttack.js';
+import { VERSUS_TARGET } from './js/modes/versus.js';
+import { mulberry32 } from './js/random.js';
+import { createRun, createMatch, stepMatch, ensureWindow, step as stepRun, tap as tapRun, endRun, getTimeLimit, getRunDuration, getRingGaps, getBossElapsed, RING_WINDOW, SIM_DT } from './js/sim.js';
+import { startRecording, recordTap, finishRecording, saveReplay, getReplay, listReplays, isReplayPinned, pinReplay, unpinReplay, createReplayRun, createPlayback, stepPlayback } from './js/replays.js';
+import { createGhostRecorder, recordGhostFrame, recordGhostSplit, finishGhost, isGhostValid, ghostEscapedAt, ghostAngleAt, getSplitDelta } from './js/ghost.js';
+import { loadDifficultyProfiles } from './js/difficulty.js';
+import { getObstacleArcs, OBSTACLE_ARC_WIDTH } from './js/obstacles.js';
+import { getPowerupInfo } from './js/powerups.js';
+import { getBossPhase, getBossArms } from './js/boss.js';
+import { listMutators, isMutator, getMutatorLabels, getMutatorXpMultiplier } from './js/mutators.js';
+import { createRewindBuffer, recordRewindPoint, rewindRun, REWIND_SECONDS } from './js/rewind.js';
+import { loadLevels, normalizeLevel, getLevelDifficulty, escapeLevelText } from './js/levels.js';
+import { isSeedableMode, formatSeedCode, parseSeedCode } from './js/seeds.js';
+import { PARTY_MIN_PLAYERS, PARTY_MAX_PLAYERS, isPartyMode, createParty, restartParty, getCurrentPlayer, isPartyOver, recordTurn, getStandings, formatPartyResult } from './js/party.js';
+import { EDITOR_DEFAULTS, createBlankLevel, updateLevel, updateRing, insertRing, removeRing, setRingAttachment, getDragHandles, findDragHandle, dragHandle, sliceLevelFrom, levelToJson, levelFromJson } from './js/editor.js';
 import { loadMissions, rollMissions, updateMissionProgress, formatMissionProgress } from './js/missions.js';
 import { loadAchievements, checkAchievements, processRunCompletion, getAllCosmetics, isCosmeticUnlocked, selectCosmetic, getProgressionStatus } from './js/progression.js';
 // PWA imports disabled for now
 // import { registerServiceWorker, initInstallPrompt, checkPostRunInstallTriggers, showInstallPrompt } from './js/pwa.js';
-import { initDebugPanel } from './js/debug.js';
+import { initDebugPanel, isDebugEnabled } from './js/debug.js';
+import { verifyReplay } from './js/verify.js';
 
 // ======= INITIALIZATION =======
 // This runs BEFORE the game loop starts
@@ -18,8 +40,10 @@ let playerData = null;
 let abParams = null;
 let envInfo = null;
 let missionTemplates = null;
-let currentMode = 'endless'; // Current mode: 'endless', 'daily', 'sprint'
+let currentMode = 'endless'; // Current mode: 'endless', 'daily', 'sprint', 'custom'
 let dailyPattern = null; // Daily orbit pattern
+let customLevels = []; // Levels for Custom mode (bundled + loaded from file)
+let currentLevel = null; // Selected custom level
 let modesPlayedThisSession = new Set(); // Track modes played for "play_all_modes" mission
 
 async function initApp() {
@@ -63,20 +87,21 @@ async function initApp() {
   // Step 8b: Load achievements (Step 4)
   await loadAchievements();
 
-  // Step 9: Check if new day for daily missions and streak tracking
-  const todayId = getTodayId();
-  if (isNewDay(playerData, todayId)) {
-    console.log('[Missions] New day detected, rolling new missions');
+  // Step 8c: Load difficulty profiles (before the daily pattern is generated)
+  await loadDifficultyProfiles();
 
-    // Update daily streak
-    updateDailyStreak(playerData, todayId);
+  // Step 8d: Load bundled custom levels
+  customLevels = [...await loadLevels()];
+  currentLevel = customLevels[0] || null;
 
-    // Roll new missions
-    const rolled = rollMissions(missionTemplates, playerData.missions.cooldown);
-    playerData.missions.active = rolled;
-    playerData.missions.dateRolled = todayId;
-    playerData.stats.lastDailyDate = todayId;
-    savePlayerData(playerData);
+  // Step 8e: Load hand-picked dailies (optional, before the daily pattern is generated)
+  await loadDailySeeds();
+
+  // Step 9: Check if new day for daily missions and streak tracking
+  // (later day changes are picked up while the game runs, see DAY ROLLOVER)
+  const todayId = getTodayId(playerData.settings.dayReset);
+  if (isNewDay(playerData, todayId)) {
+    startNewDay(todayId);
   } else if (!playerData.missions.active || playerData.missions.active.length === 0) {
     // No missions yet, roll initial set
     console.log('[Missions] Rolling initial missions');
@@ -86,7 +111,6 @@ async function initApp() {
 
     // Also update streak for first-time play
     updateDailyStreak(playerData, todayId);
-    playerData.stats.lastDailyDate = todayId;
 
     savePlayerData(playerData);
   }
@@ -111,6 +135,26 @@ async function initApp() {
   console.log('[App] Active missions:', playerData.missions.active);
 }
 
+/**
+ * Day change: update the streak and roll new missions (the daily pattern is loaded by the caller)
+ */
+function startNewDay(todayId) {
+  console.log('[Missions] New day detected, rolling new missions');
+
+  // Update daily streak (held freezes cover missed days)
+  const freezesUsed = updateDailyStreak(playerData, todayId);
+  if (freezesUsed > 0) {
+    telemetry.log('streak_freeze_used', { freezes: freezesUsed, streak: playerData.stats.dailyStreak });
+  }
+
+  // Roll new missions
+  const rolled = rollMissions(missionTemplates, playerData.missions.cooldown);
+  playerData.missions.active = rolled;
+  playerData.missions.dateRolled = todayId;
+  modesPlayedThisSession.clear();
+  savePlayerData(playerData);
+}
+
 // Initialize immediately (await at top level)
 await initApp();
 
@@ -313,61 +357,40 @@ await initApp();
     return theme;
   }
 
-  // ======= SPEED CONFIGURATION =======
-  // Ball orbit speed
-  const BALL_SPEED_BASE_NORMAL = 1.15;      // Base speed in normal mode
-  const BALL_SPEED_BASE_EXPERT = 1.45;      // Base speed in expert mode
-  const BALL_SPEED_INCREASE_NORMAL = 0.018; // Speed increase per score in normal mode
-  const BALL_SPEED_INCREASE_EXPERT = 0.025; // Speed increase per score in expert mode
-  const BALL_SPEED_MAX = 3.5;               // Maximum ball orbit speed cap
-
-  // Ring rotation speed
-  const RING_SPEED_MIN = 0.40;              // Minimum ring rotation speed
-  const RING_SPEED_MAX_NORMAL = 1.05;       // Maximum initial ring speed (normal mode)
-  const RING_SPEED_MAX_EXPERT = 1.35;       // Maximum initial ring speed (expert mode)
-  const RING_SPEED_INCREASE = 0.06;         // Speed multiplier increase per ring index
-  const RING_SPEED_ABSOLUTE_MAX = 3.0;      // Absolute maximum ring rotation speed cap
-
   // ======= CANVAS SETUP =======
-  const state = {
-    cx: 0, cy: 0,
+  // The current run's simulation state (see js/sim.js). Created on Start.
+  let run = null;
 
-    escaped: 0,
-    rings: new Map(),
+  // Replays: the live run is recorded; a watched replay drives the run instead of input
+  let recording = null;
+  let playback = null;
+  let lastReplayId = null;
 
-    ballAngle: 0,
-    ballDir: 1,
-    orbitSpeed: 0,
+  // Sprint ghost: the PB ghost being raced and the live run's own ghost recording
+  let ghost = null;
+  let ghostRecorder = null;
 
-    score: 0,
-    chain: 1,
-    chainTimer: 0,
-    timeSinceLastEscape: 999,  // Track time since last escape for chaining
+  // Practice (Zen) runs: rewind history and counts for telemetry (null outside practice)
+  let rewindBuffer = null;
+  let practiceStats = null;
 
-    // PHASE 1: Pressure system (replaces heat)
-    pressure: 0, // 0..1
-    criticalActive: false,
-    criticalStartTime: 0,
-    criticalElapsed: 0,
-    criticalWindow: 0, // Set from A/B params
+  // Pass-and-play party in progress (see js/party.js), or null
+  let party = null;
 
-    // Perfect streak (kept from your working build)
-    perfectStreak: 0,
-    bestPerfectStreak: 0,
+  // Past Daily Orbit being replayed from the archive ({ dateId, pattern }), or null
+  let archiveDay = null;
 
-    timeInRing: 0,
-    maxRingTime: 8.0,
+  // Versus match in progress (see sim.js createMatch), or null. run is player 1's run
+  // while it lasts (the rings, clock and mode are shared).
+  let match = null;
+
+  // Renderer-only state: layout, camera and effects on top of the run
+  const state = {
+    cx: 0, cy: 0,
 
     shake: 0,
     particles: [],
     scorePops: [],
-
-    // Multi-ring escape animation
-    pendingEscapes: [],
-    escapeTweenProgress: 0,
-    escapeTweenDuration: 0,
-    escapeTargetEscaped: 0,
-    ballTweenRadius: 0,
     ringGlows: new Map(),
 
     // Layout (screen-space)
@@ -376,27 +399,13 @@ await initApp();
     baseThickness: 0,
     ballRadius: 0,
 
-    // Run tracking (for telemetry)
-    runStartTime: 0,
-    runStats: {
-      maxChain: 1,
-      criticalEntries: 0,
-      criticalEscapes: 0
-    },
-
-    // Tap tracking (for pressure spam detection)
-    lastTapTime: 0,
-    tapsInWindow: [],
-
-    // PHASE 2: Mode-specific state
-    mode: 'endless', // Current run mode
-    sprintCompleted: false, // Sprint completion flag
-    dailyCompleted: false // Daily completion flag
+    // Ring spacing scale (versus zooms out to keep both balls on screen)
+    ringZoom: 1
   };
 
   const WINDOW = {
-    PAST: 2,     // was 3
-    FUTURE: 4,   // was 5
+    PAST: RING_WINDOW.PAST,
+    FUTURE: RING_WINDOW.FUTURE,
     focus: 0
   };
 
@@ -446,9 +455,7 @@ await initApp();
   let runAchievements = [];
 
   // Use playerData instead of localStorage directly
-  let best = playerData.bestScore.endless;
   let expert = playerData.settings.expert;
-  elBest.textContent = best;
   btnExpert.textContent = `Expert: ${expert ? 'On' : 'Off'}`;
 
   btnExpert.addEventListener('click', () => {
@@ -467,33 +474,52 @@ await initApp();
   // });
 
   // ======= MODE SELECTOR UI =======
-  const modeButtons = {
-    endless: document.getElementById('modeEndless'),
-    daily: document.getElementById('modeDaily'),
-    sprint: document.getElementById('modeSprint')
-  };
-  const modeBestLabels = {
-    endless: document.getElementById('bestEndless'),
-    daily: document.getElementById('bestDaily'),
-    sprint: document.getElementById('bestSprint')
-  };
+  // One pill per registered mode (see modes.js)
+  const modeSelector = document.getElementById('modeSelector');
+  const modeButtons = {};
+  const modeBestLabels = {};
+
+  for (const mode of Object.values(MODES)) {
+    const button = document.createElement('button');
+    button.className = 'modePill';
+    button.dataset.mode = mode.id;
+    button.innerHTML = `<div class="modeLabel">${mode.label}</div><div class="modeBest"></div>`;
+    button.classList.toggle('active', mode.id === currentMode);
+    modeSelector.appendChild(button);
+    modeButtons[mode.id] = button;
+    modeBestLabels[mode.id] = button.querySelector('.modeBest');
+  }
+
+  /**
+   * Options the next run of a mode is played with (mode getOptions hook, from settings)
+   */
+  function getRunOptions(modeId) {
+    const mode = getModeConfig(modeId);
+    return mode.getOptions ? mode.getOptions(playerData.settings) : null;
+  }
+
+  // A mode's best as displayed (levels: the selected level's; options: the current ones)
+  function getModeBestText(modeId) {
+    const mode = getModeConfig(modeId);
+    return mode.formatBest(mode.getBest(playerData, currentLevel, getRunOptions(modeId)));
+  }
 
   // Initialize mode best scores display
   function updateModeBestScores() {
-    modeBestLabels.endless.textContent = `Best: ${playerData.bestScore.endless}`;
-    modeBestLabels.daily.textContent = `Best: ${playerData.bestScore.daily}`;
-    if (playerData.bestScore.sprint > 0) {
-      const seconds = (playerData.bestScore.sprint / 1000).toFixed(1);
-      modeBestLabels.sprint.textContent = `Best: ${seconds}s`;
-    } else {
-      modeBestLabels.sprint.textContent = 'Best: --';
+    for (const modeId of Object.keys(modeBestLabels)) {
+      const mode = getModeConfig(modeId);
+      modeBestLabels[modeId].textContent = mode.players ? `${mode.players} Players`
+        : mode.practice ? 'Practice' : `Best: ${getModeBestText(modeId)}`;
     }
   }
   updateModeBestScores();
+  elBest.textContent = getModeBestText(currentMode);
 
   // Mode selection handler
   function selectMode(mode) {
-    if (running) {
+    if (playback) {
+      finishPlayback();
+    } else if (running) {
       // If mid-run, ask for confirmation
       if (!confirm('End current run and switch mode?')) {
         return;
@@ -508,19 +534,11 @@ await initApp();
       modeButtons[m].classList.toggle('active', m === mode);
     });
 
+    levelPicker.style.display = getModeConfig(mode).usesLevel ? 'flex' : 'none';
+    updateModeOptions();
+
     // Update best score display
-    const modeConfig = getModeConfig(mode);
-    if (modeConfig.scoreType === 'rings') {
-      best = playerData.bestScore[mode];
-      elBest.textContent = best;
-    } else if (modeConfig.scoreType === 'time') {
-      if (playerData.bestScore[mode] > 0) {
-        const seconds = (playerData.bestScore[mode] / 1000).toFixed(1);
-        elBest.textContent = `${seconds}s`;
-      } else {
-        elBest.textContent = '--';
-      }
-    }
+    elBest.textContent = getModeBestText(mode);
 
     // Step 6: Log mode selected event
     telemetry.logModeSelected(mode);
@@ -533,6 +551,167 @@ await initApp();
     modeButtons[mode].addEventListener('click', () => selectMode(mode));
   });
 
+  // ======= MODE OPTIONS =======
+  // Buttons for the selected mode's run options (tagged with data-mode), stored in settings
+  const modeOptions = document.getElementById('modeOptions');
+  const btnObstacles = document.getElementById('btnObstacles');
+  const btnDuration = document.getElementById('btnDuration');
+
+  function updateModeOptions() {
+    let shown = 0;
+    for (const button of modeOptions.children) {
+      const show = button.dataset.mode === currentMode;
+      button.style.display = show ? '' : 'none';
+      if (show) shown++;
+    }
+    modeOptions.style.display = shown > 0 ? 'flex' : 'none';
+    updateMutatorRow();
+    btnObstacles.textContent = `Obstacles: ${playerData.settings.practiceObstacles ? 'On' : 'Off'}`;
+    btnDuration.textContent = `Time: ${playerData.settings.scoreAttackDuration}s`;
+
+    // Bests can depend on the options (Score Attack keeps one per duration)
+    updateModeBestScores();
+    elBest.textContent = getModeBestText(currentMode);
+  }
+  updateModeOptions();
+
+  btnObstacles.addEventListener('click', () => {
+    playerData.settings.practiceObstacles = !playerData.settings.practiceObstacles;
+    savePlayerData(playerData);
+    updateModeOptions();
+  });
+
+  btnDuration.addEventListener('click', () => {
+    const k = SCORE_ATTACK_DURATIONS.indexOf(playerData.settings.scoreAttackDuration);
+    playerData.settings.scoreAttackDuration = SCORE_ATTACK_DURATIONS[(k + 1) % SCORE_ATTACK_DURATIONS.length];
+    savePlayerData(playerData);
+    updateModeOptions();
+  });
+
+  // ======= MUTATORS =======
+  // Opt-in run modifiers (see js/mutators.js), picked on the start screen for modes
+  // that allow them. The selection is kept in settings; runs store what they used.
+  const mutatorRow = document.getElementById('mutatorRow');
+  const mutatorXp = document.getElementById('mutatorXp');
+  const mutatorButtons = {};
+
+  for (const mutator of listMutators()) {
+    const button = document.createElement('button');
+    button.className = 'mutatorPill';
+    button.textContent = `${mutator.label} ×${mutator.xpMultiplier}`;
+    button.title = mutator.description;
+    button.addEventListener('click', () => toggleMutator(mutator.id));
+    mutatorRow.appendChild(button);
+    mutatorButtons[mutator.id] = button;
+  }
+
+  /**
+   * Mutators the next run of the selected mode takes
+   */
+  function getSelectedMutators() {
+    // A Daily's featured mutators (daily-seeds.json) are the same for everyone
+    if (getModeConfig(currentMode).usesDailyPattern) {
+      return [...(archiveDay ? archiveDay.pattern : dailyPattern).mutators];
+    }
+    if (!getModeConfig(currentMode).allowsMutators) return [];
+    return playerData.settings.mutators.filter(isMutator);
+  }
+
+  function toggleMutator(id) {
+    const selected = playerData.settings.mutators.filter(isMutator);
+    playerData.settings.mutators = selected.includes(id) ? selected.filter(m => m !== id) : [...selected, id];
+    savePlayerData(playerData);
+    updateMutatorRow();
+  }
+
+  function updateMutatorRow() {
+    const allowed = getModeConfig(currentMode).allowsMutators;
+    mutatorRow.style.display = allowed ? 'flex' : 'none';
+
+    const selected = getSelectedMutators();
+    for (const id of Object.keys(mutatorButtons)) {
+      mutatorButtons[id].classList.toggle('active', selected.includes(id));
+    }
+    if (selected.length > 0 && !allowed) {
+      mutatorXp.textContent = `Featured today: ${getMutatorLabels(selected).join(', ')} · XP ×${getMutatorXpMultiplier(selected)}`;
+    } else {
+      mutatorXp.textContent = selected.length > 0
+        ? `XP ×${getMutatorXpMultiplier(selected)} · runs with mutators don't count for bests`
+        : '';
+    }
+  }
+
+  /**
+   * End-screen line listing a run's mutators
+   */
+  function getMutatorLine(run) {
+    if (run.mutators.length === 0) return '';
+    return `<br/>Mutators: <b>${getMutatorLabels(run.mutators).join(', ')}</b> (XP ×${getMutatorXpMultiplier(run.mutators)})`;
+  }
+
+  // ======= CUSTOM LEVELS =======
+  const levelPicker = document.getElementById('levelPicker');
+  const levelSelect = document.getElementById('levelSelect');
+  const levelDesc = document.getElementById('levelDesc');
+  const levelFile = document.getElementById('levelFile');
+
+  function renderLevelPicker() {
+    levelSelect.innerHTML = '';
+    for (const level of customLevels) {
+      const option = document.createElement('option');
+      option.value = level.id;
+      option.textContent = `${level.name} (${level.target} rings)`;
+      levelSelect.appendChild(option);
+    }
+    if (currentLevel) levelSelect.value = currentLevel.id;
+    levelDesc.textContent = currentLevel ? currentLevel.description : 'No levels loaded';
+  }
+
+  function selectLevel(levelId) {
+    currentLevel = customLevels.find(l => l.id === levelId) || null;
+    renderLevelPicker();
+    updateModeBestScores();
+    elBest.textContent = getModeBestText(currentMode);
+    console.log(`[Levels] Selected: ${levelId}`);
+  }
+
+  /**
+   * Add a level (replacing one with the same ID) and select it
+   */
+  function addCustomLevel(level) {
+    customLevels = customLevels.filter(l => l.id !== level.id);
+    customLevels.push(level);
+    selectLevel(level.id);
+  }
+
+  levelSelect.addEventListener('change', () => selectLevel(levelSelect.value));
+
+  document.getElementById('btnLoadLevel').addEventListener('click', () => levelFile.click());
+
+  levelFile.addEventListener('change', async () => {
+    const file = levelFile.files[0];
+    levelFile.value = '';
+    if (!file) return;
+
+    let raw = null;
+    try {
+      raw = JSON.parse(await file.text());
+    } catch (e) {
+      alert(`Could not read ${file.name}: not valid JSON.`);
+      return;
+    }
+
+    const { level, errors } = normalizeLevel(raw);
+    if (!level) {
+      alert(`Could not load ${file.name}:\n- ${errors.join('\n- ')}`);
+      return;
+    }
+    addCustomLevel(level);
+    console.log(`[Levels] Loaded ${level.id} from ${file.name}`);
+  });
+
+  renderLevelPicker();
+
   // ======= MISSION UI =======
   const missionPanel = document.getElementById('missionPanel');
   const missionList = document.getElementById('missionList');
@@ -565,7 +744,11 @@ await initApp();
   }
 
   function showMissionToast(mission) {
-    missionToast.textContent = `✓ ${mission.name} (+${mission.reward} XP)`;
+    showToast(`✓ ${mission.name} (+${mission.reward} XP)`);
+  }
+
+  function showToast(text) {
+    missionToast.textContent = text;
     missionToast.classList.add('show');
 
     setTimeout(() => {
@@ -656,6 +839,8 @@ await initApp();
     if (breakdown.chain > 0) breakdownText.push(`Chain: ${breakdown.chain}`);
     if (breakdown.critical > 0) breakdownText.push(`Critical: ${breakdown.critical}`);
     if (breakdown.modeBonus > 0) breakdownText.push(`Mode Bonus: ${breakdown.modeBonus}`);
+    if (breakdown.boss > 0) breakdownText.push(`Boss: ${breakdown.boss}`);
+    if (breakdown.mutators > 0) breakdownText.push(`Mutators ×${progressionResult.xp.multiplier}: ${breakdown.mutators}`);
     if (breakdown.missions > 0) breakdownText.push(`Missions: ${breakdown.missions}`);
     if (breakdown.achievements > 0) breakdownText.push(`Achievements: ${breakdown.achievements}`);
     xpBreakdown.innerHTML = breakdownText.join(' • ');
@@ -740,6 +925,8 @@ await initApp();
       renderCosmeticsTab('themes');
     } else if (tab === 'badges') {
       renderBadgesTab();
+    } else if (tab === 'replays') {
+      renderReplaysTab();
     }
   }
 
@@ -817,6 +1004,57 @@ await initApp();
     lockerTabContent.innerHTML = html;
   }
 
+  function renderReplaysTab() {
+    const { pinned, recent } = listReplays(playerData);
+
+    const renderItem = (replay) => {
+      const isPinned = isReplayPinned(playerData, replay.id);
+      return `
+        <div class="replayItem">
+          <div class="replayItemInfo">
+            <div>${describeReplay(replay)}</div>
+            <div class="replayItemMeta">${new Date(replay.recordedAt).toLocaleString()}</div>
+          </div>
+          <div class="replayItemActions">
+            <button class="pill good" data-action="watch" data-id="${replay.id}">Watch</button>
+            <button class="pill" data-action="${isPinned ? 'unpin' : 'pin'}" data-id="${replay.id}">${isPinned ? 'Unpin' : 'Pin'}</button>
+          </div>
+        </div>
+      `;
+    };
+
+    let html = '<div class="replayList">';
+    html += '<div class="replayListHeader">Pinned</div>';
+    html += pinned.length > 0
+      ? pinned.map(renderItem).join('')
+      : '<div class="replayEmpty">Pin a replay to keep it here.</div>';
+    html += '<div class="replayListHeader">Recent</div>';
+    html += recent.length > 0
+      ? recent.map(renderItem).join('')
+      : '<div class="replayEmpty">No runs recorded yet.</div>';
+    html += '</div>';
+    lockerTabContent.innerHTML = html;
+
+    // Attach click handlers
+    lockerTabContent.querySelectorAll('.replayItemActions .pill').forEach(el => {
+      el.addEventListener('click', () => {
+        const id = el.dataset.id;
+        if (el.dataset.action === 'watch') {
+          closeLocker();
+          watchReplay(getReplay(playerData, id));
+          return;
+        }
+        if (el.dataset.action === 'pin') {
+          pinReplay(playerData, id);
+        } else {
+          unpinReplay(playerData, id);
+        }
+        renderReplaysTab();
+        updateReplayRow();
+      });
+    });
+  }
+
   // ======= ACHIEVEMENT SYSTEM =======
 
   /**
@@ -860,14 +1098,14 @@ await initApp();
    * Check for achievements mid-run and show immediate feedback
    */
   async function checkMidRunAchievements() {
-    if (!running) return;
+    if (!running || !runCountsForPlayer()) return;
 
     const newAchievements = checkAchievements(playerData, {
-      rings: state.score,
-      maxChain: state.runStats.maxChain,
-      criticalEscapes: state.runStats.criticalEscapes,
-      max_chain: state.runStats.maxChain,
-      critical_escapes: state.runStats.criticalEscapes
+      rings: run.score,
+      maxChain: run.runStats.maxChain,
+      criticalEscapes: run.runStats.criticalEscapes,
+      max_chain: run.runStats.maxChain,
+      critical_escapes: run.runStats.criticalEscapes
     });
 
     // Show toast for any new achievements
@@ -897,7 +1135,7 @@ await initApp();
 
         switch (achievement.type) {
           case 'rings':
-            current = state.score || 0;
+            current = run?.score || 0;
             progressText = `${current} / ${target} rings`;
             break;
           case 'bestScore':
@@ -910,11 +1148,11 @@ await initApp();
             progressText = `Best: ${current} / ${target}`;
             break;
           case 'maxChain':
-            current = state.runStats?.maxChain || state.chain || 1;
+            current = run?.runStats.maxChain || 1;
             progressText = `Chain: x${current} / x${target}`;
             break;
           case 'criticalEscapes':
-            current = state.runStats?.criticalEscapes || 0;
+            current = run?.runStats.criticalEscapes || 0;
             progressText = `${current} / ${target} critical escapes`;
             break;
           case 'sprintComplete':
@@ -985,14 +1223,6 @@ await initApp();
   function clamp(v,a,b){ return Math.max(a, Math.min(b, v)); }
   function lerp(a,b,t){ return a + (b-a)*t; }
 
-  function angNorm(a){
-    a %= (Math.PI*2);
-    if (a < -Math.PI) a += Math.PI*2;
-    if (a >  Math.PI) a -= Math.PI*2;
-    return a;
-  }
-  function angDiff(a,b){ return angNorm(a-b); }
-
   function flashGood(){
     goodFlash.style.transition = 'none';
     goodFlash.style.opacity = '0.18';
@@ -1043,9 +1273,16 @@ await initApp();
   }
 
   // ======= GAME STATE =======
+  // Longest frame fed to the simulation (a longer hitch is dropped, not fast-forwarded)
+  const MAX_FRAME_DT = 0.1;
+
   let running = false;
   let lastT = performance.now();
 
+  // Unsimulated frame time (seconds), and how far the render sits between the last two ticks
+  let accumulator = 0;
+  let renderAlpha = 1;
+
   // Don't render gameplay behind the start UI
   let renderEnabled = false;
 
@@ -1082,86 +1319,54 @@ await initApp();
   }
 
   // ======= RINGS =======
-  function ringParamsForIndex(i){
-    // gap never shrinks (constant)
-    const gapWidth = expert ? 0.42 : 0.56;
-
-    // PHASE 2: Determine gap center based on mode
-    let gapCenter;
-    if (state.mode === 'daily' && dailyPattern) {
-      // Daily mode: use deterministic pattern
-      gapCenter = getDailyGapCenter(dailyPattern, i);
-    } else {
-      // Endless/Sprint: random
-      gapCenter = rand(0, Math.PI * 2);
-    }
-
-    // difficulty from speed only
-    const maxSpeed = expert ? RING_SPEED_MAX_EXPERT : RING_SPEED_MAX_NORMAL;
-    const baseRotSpeed =
-      (Math.random() < 0.5 ? -1 : 1) *
-      rand(RING_SPEED_MIN, maxSpeed) *
-      (1 + i * RING_SPEED_INCREASE);
-    const rotSpeed = Math.min(Math.abs(baseRotSpeed), RING_SPEED_ABSOLUTE_MAX) * Math.sign(baseRotSpeed);
-
-    const drift = rand(0.0, expert ? 0.085 : 0.055);
-
-    // Obstacle logic: after ring 50, chance increases from 10% to 20% over 200 rings
-    let hasObstacle = false;
-    let obstacleAngle = 0;
-    if(i >= 5){
-      const progress = Math.min(1, (i - 50) / 200); // 0 at ring 50, 1 at ring 250
-      const obstacleChance = 0.30 + progress * 0.40; // 10% to 20%
-      if(Math.random() < obstacleChance){
-        hasObstacle = true;
-        // Place obstacle away from gap (at least 90 degrees away)
-        const minSeparation = Math.PI / 2;
-        const maxSeparation = Math.PI * 2 - gapWidth - minSeparation;
-        obstacleAngle = rand(minSeparation, maxSeparation);
-      }
-    }
-
-    // Reduce ring speed by 50% if it has an obstacle
-    const finalRotSpeed = hasObstacle ? rotSpeed * 0.5 : rotSpeed;
-
-    return { gapCenter, gapWidth, rotSpeed: finalRotSpeed, drift, hasObstacle, obstacleAngle };
+  function screenRadiusForIndex(i){
+    return state.R_inner + (i - WINDOW.focus) * state.gapPx * state.ringZoom;
   }
 
-  function ensureRing(i){
-    if(state.rings.has(i)) return;
-    const { gapCenter, gapWidth, rotSpeed, drift, hasObstacle, obstacleAngle } = ringParamsForIndex(i);
-    state.rings.set(i, {
-      i,
-      gapCenter,
-      gapWidth,
-      rotSpeed,
-      drift,
-      hasObstacle,
-      obstacleAngle
-    });
+  // Balls on screen: the run's, or every player's in a versus match
+  function getBalls(){
+    return match ? match.players : [run];
   }
 
-  function pruneRings(){
-    const start = Math.max(0, state.escaped - WINDOW.PAST);
-    const end   = state.escaped + WINDOW.FUTURE;
-    for(const k of state.rings.keys()){
-      if(k < start || k > end) state.rings.delete(k);
+  /**
+   * Ball ring a ring's fade is measured from: the ball's, or in a match the
+   * nearest ball ring at or inside it (the innermost ball's for rings inside them all)
+   */
+  function fadeOrigin(i){
+    let origin = -Infinity;
+    let innermost = Infinity;
+    for(const ball of getBalls()){
+      if(ball.escaped <= i) origin = Math.max(origin, ball.escaped);
+      innermost = Math.min(innermost, ball.escaped);
     }
+    return origin === -Infinity ? innermost : origin;
   }
 
-  function ensureWindow(){
-    const start = Math.max(0, state.escaped - WINDOW.PAST);
-    const end   = state.escaped + WINDOW.FUTURE;
-    for(let i=start;i<=end;i++) ensureRing(i);
-    pruneRings();
+  // ======= RENDER INTERPOLATION =======
+  // Draw between the last two simulation ticks so motion stays smooth at any refresh rate
+  function lerpAngle(a, b, t){
+    let d = (b - a) % (Math.PI*2);
+    if(d > Math.PI) d -= Math.PI*2;
+    if(d < -Math.PI) d += Math.PI*2;
+    return a + d * t;
   }
 
-  function screenRadiusForIndex(i){
-    return state.R_inner + (i - WINDOW.focus) * state.gapPx;
+  function renderBallAngle(ball = run){
+    return lerpAngle(ball.prevBallAngle, ball.ballAngle, renderAlpha);
+  }
+
+  function renderGapCenter(r){
+    return lerpAngle(r.prevGapCenter, r.gapCenter, renderAlpha);
   }
 
-  function effectiveGapWidth(r){
-    return clamp(r.gapWidth, 0.08, 0.95);
+  // Ball radius on screen (tweens outward while an escape animation plays)
+  function ballScreenRadius(ball = run){
+    if(ball.pendingEscapes.length > 0){
+      const startR = screenRadiusForIndex(ball.escaped);
+      const endR = screenRadiusForIndex(ball.escapeTargetEscaped);
+      return lerp(startR, endR, lerp(ball.prevEscapeTweenProgress, ball.escapeTweenProgress, renderAlpha));
+    }
+    return screenRadiusForIndex(ball.escaped);
   }
 
   // ======= FX =======
@@ -1214,151 +1419,212 @@ await initApp();
 
   // ======= UI / GAME FLOW =======
   function setPressureUI(){
-    const pct = Math.round(state.pressure*100);
+    const pressure = run ? run.pressure : 0;
+    const criticalActive = run ? run.criticalActive : false;
+
+    const pct = Math.round(pressure*100);
     elHeatFill.style.width = pct + '%';
     elHeatText.textContent = pct + '%';
 
     // Pressure becomes fiery as it approaches critical (bar color shifts with pressure)
     // Critical zone (>= 0.9) shows intense red
-    const displayPressure = state.criticalActive ? 1.0 : state.pressure;
+    const displayPressure = criticalActive ? 1.0 : pressure;
     elHeatFill.style.background = heatColor(displayPressure);
 
     // Critical state visual feedback
-    if(state.criticalActive){
+    if(criticalActive){
       elHeatFill.style.animation = 'pulse 0.5s ease-in-out infinite';
     } else {
       elHeatFill.style.animation = 'none';
     }
   }
 
-  function resetGame(){
-    state.cx = W/2;
-    state.cy = H/2;
-
-    state.rings.clear();
-    state.escaped = 0;
+  // Active power-up chips (shield, slow-mo time left, widened rings left)
+  const powerupBar = document.getElementById('powerupBar');
+  let powerupHudHtml = '';
 
-    state.ballAngle = rand(0, Math.PI*2);
-    state.ballDir = 1;
+  function updatePowerupHud(){
+    const p = run ? run.powerups : null;
+    const chips = [];
+    if(p && p.shield){
+      chips.push(['shield', '']);
+    }
+    if(p && p.slowmoTime > 0){
+      chips.push(['slowmo', `${p.slowmoTime.toFixed(1)}s`]);
+    }
+    if(p && p.widenRings > 0){
+      chips.push(['widen', `x${p.widenRings}`]);
+    }
 
-    state.score = 0;
-    state.chain = 1;
-    state.chainTimer = 0;
-    state.timeSinceLastEscape = 999;
+    const html = chips.map(([kind, detail]) => {
+      const info = getPowerupInfo(kind);
+      return `<span class="powerupChip" style="color:${info.color}">${info.icon} ${detail || info.label}</span>`;
+    }).join('');
 
-    // PHASE 1: Reset pressure system
-    state.pressure = 0;
-    state.criticalActive = false;
-    state.criticalStartTime = 0;
-    state.criticalElapsed = 0;
-    state.criticalWindow = abParams.criticalWindow; // From A/B params
+    if(html !== powerupHudHtml){
+      powerupHudHtml = html;
+      powerupBar.innerHTML = html;
+    }
+  }
 
-    state.perfectStreak = 0;
-    state.bestPerfectStreak = 0;
+  function resetGame(setup){
+    state.cx = W/2;
+    state.cy = H/2;
 
-    state.timeInRing = 0;
-    state.maxRingTime = expert ? 6.0 : 7.5;
+    // New simulation run. Seeded and clocked in simulated time so it can be replayed.
+    // Versus: one run per player on a shared ring stack (see sim.js createMatch)
+    const playerCount = getModeConfig(setup.mode).players;
+    match = playerCount ? createMatch({ ...setup, rng: mulberry32(setup.seed) }, playerCount) : null;
+    run = match ? match.players[0] : createReplayRun(setup);
+    accumulator = 0;
+    renderAlpha = 1;
 
     state.shake = 0;
     state.particles.length = 0;
     state.scorePops.length = 0;
-
-    state.pendingEscapes = [];
-    state.escapeTweenProgress = 0;
-    state.escapeTweenDuration = 0;
-    state.escapeTargetEscaped = 0;
-    state.ballTweenRadius = 0;
     state.ringGlows.clear();
-
-    // PHASE 2: Set mode from global currentMode
-    state.mode = currentMode;
-    state.sprintCompleted = false;
-    state.dailyCompleted = false;
+    state.ringZoom = 1;
 
     WINDOW.focus = 0;
-    ensureWindow();
 
     elScore.textContent = '0';
     elChain.textContent = 'x1';
     setPressureUI();
-
-    // Reset run tracking
-    state.runStartTime = performance.now();
-    state.runStats = {
-      maxChain: 1,
-      criticalEntries: 0,
-      criticalEscapes: 0
-    };
-
-    // Reset tap tracking
-    state.lastTapTime = 0;
-    state.tapsInWindow = [];
+    updatePowerupHud();
+    updateBossBanner();
+    updateClock();
+    updateVersusHud();
 
     // Reset run achievements tracking
     runAchievements = [];
   }
 
+  /**
+   * Does the live run count for the device owner's missions and achievements?
+   * (Editor test runs, practice runs, pass-and-play turns and archive Dailies don't)
+   */
+  function runCountsForPlayer() {
+    return !editorTest && !rewindBuffer && !party && !archiveDay;
+  }
+
+  /**
+   * Store the run's result as its mode's best if it beats it (see the mode result hooks)
+   * @returns {boolean} True for a new best
+   */
+  function recordModeBest(runDuration) {
+    // Mutated runs aren't comparable with normal ones (a Daily's featured mutators
+    // are part of that day's run)
+    if (run.mutators.length > 0 && !getModeConfig(run.mode).usesDailyPattern) return false;
+
+    const mode = getModeConfig(run.mode);
+    const value = mode.getResult(run, runDuration);
+    if (value === null || !mode.isBetter(value, mode.getBest(playerData, run.level, run.options))) return false;
+
+    mode.setBest(playerData, run.level, value, run.options);
+    elBest.textContent = getModeBestText(run.mode);
+    return true;
+  }
+
+  /**
+   * Keep a Daily run's result for its pattern's date (see js/dailyArchive.js).
+   * A day's first clear counts towards a streak freeze (see js/streaks.js).
+   * @returns {boolean} True if a streak freeze was earned
+   */
+  function recordDailyRun(runDuration, completed) {
+    if (!getModeConfig(run.mode).usesDailyPattern || !run.dailyPattern) return false;
+    const dateId = run.dailyPattern.dateId;
+    const firstClear = completed && !(getDailyResult(playerData, dateId) || {}).completed;
+    recordDailyResult(playerData, dateId, { rings: run.score, time_ms: runDuration, completed });
+    return firstClear && recordDailyClear(playerData);
+  }
+
   async function endGame(reason){
     running = false;
+    endRun(run, reason); // No-op if the simulation already ended the run
+
+    // Editor test runs go straight back to the editor (no replay, stats or XP)
+    if(editorTest){
+      finishEditorTest(reason);
+      return;
+    }
+
+    clearPause(false);
+    saveLiveReplay(reason);
     darkOverlay.style.opacity = '0.7';
     centerMsg.style.display = 'block';
     criticalMsg.style.opacity = '0'; // Hide critical message
+    bossBanner.classList.remove('show');
     hideMissionPanel(); // PHASE 2: Hide mission panel on game end
 
+    // Practice runs leave bests, stats, missions and XP alone
+    if (rewindBuffer) {
+      finishPractice(reason);
+      return;
+    }
+
+    // So do pass-and-play turns (guests aren't the device owner)
+    if (party) {
+      finishPartyTurn(reason);
+      return;
+    }
+
+    // And archive Dailies (practice on a past day's pattern)
+    if (archiveDay) {
+      finishArchiveRun(reason);
+      return;
+    }
+
     let headline = 'Run Over';
-    let line1 = `You escaped <b>${state.score}</b> rings.`;
+    let line1 = `You escaped <b>${run.score}</b> rings.`;
     let tip = `Tap <b>Start</b> to try again — you can always do better.`;
 
     if(reason === 'pressure_fail'){
       headline = 'Critical Orbit Failed';
-      line1 = `Pressure overwhelmed you after escaping <b>${state.score}</b> rings.`;
+      line1 = `Pressure overwhelmed you after escaping <b>${run.score}</b> rings.`;
       tip = `<b>Tip:</b> Escape during Critical Orbit to reset pressure. Watch your timing!`;
     } else if(reason === 'burn'){
       headline = 'You Burned Up';
-      line1 = `You <b>burned up</b> after escaping <b>${state.score}</b> rings.`;
+      line1 = `You <b>burned up</b> after escaping <b>${run.score}</b> rings.`;
     } else if(reason === 'time'){
       headline = 'Out of Time';
-      line1 = `You <b>ran out of time</b> after escaping <b>${state.score}</b> rings.`;
+      line1 = `You <b>ran out of time</b> after escaping <b>${run.score}</b> rings.`;
     } else if(reason === 'obstacle'){
       headline = 'Hit Obstacle';
-      line1 = `You <b>hit an obstacle</b> after escaping <b>${state.score}</b> rings.`;
+      line1 = `You <b>hit an obstacle</b> after escaping <b>${run.score}</b> rings.`;
+    } else if(reason === 'boss'){
+      headline = 'Boss Ring Wins';
+      line1 = `The <b>boss ring</b> stopped you after escaping <b>${run.score}</b> rings.`;
+      tip = `<b>Tip:</b> Boss phases loop — Evade, Arms, Frenzy. Reverse to dodge the arms and cut the gap off.`;
     }
 
-    const perfectLine = state.bestPerfectStreak > 0
-      ? `<br/>Best Perfect: <b>x${state.bestPerfectStreak}</b>`
+    const perfectLine = run.bestPerfectStreak > 0
+      ? `<br/>Best Perfect: <b>x${run.bestPerfectStreak}</b>`
       : ``;
 
     document.querySelector('.title').textContent = headline;
     document.querySelector('.subtitle').innerHTML =
-      `${line1}${perfectLine}<br/>${tip}`;
+      `${line1}${perfectLine}${getMutatorLine(run)}<br/>${tip}`;
 
     // PHASE 2: Update best score per mode
-    const modeConfig = getModeConfig(state.mode);
-    if (modeConfig.scoreType === 'rings' && state.score > playerData.bestScore[state.mode]) {
-      playerData.bestScore[state.mode] = state.score;
-      // Update UI if we're in endless mode
-      if (state.mode === 'endless') {
-        best = state.score;
-        elBest.textContent = String(best);
-      }
-    }
+    const runDuration = getRunDuration(run);
+    recordModeBest(runDuration);
+    recordDailyRun(runDuration, false);
 
     // Update stats
     playerData.stats.totalRuns++;
-    playerData.stats.totalRings += state.score;
+    playerData.stats.totalRings += run.score;
     playerData.stats.deaths[reason] = (playerData.stats.deaths[reason] || 0) + 1;
 
     // PHASE 2: Update mission progress
-    const runDuration = performance.now() - state.runStartTime;
     const completedMissions = updateMissionProgress(
       playerData.missions.active,
       'run_end',
       {
-        mode: state.mode,
-        rings: state.score,
+        mode: run.mode,
+        rings: run.score,
         cause: reason,
         time_ms: Math.round(runDuration),
-        critical_escapes: state.runStats.criticalEscapes
+        critical_escapes: run.runStats.criticalEscapes
       }
     );
 
@@ -1372,11 +1638,15 @@ await initApp();
 
     // STEP 4: Process XP, level-ups, and achievements
     const progressionResult = await processRunCompletion(playerData, {
-      rings: state.score,
-      max_chain: state.runStats.maxChain,
-      critical_escapes: state.runStats.criticalEscapes,
+      rings: run.score,
+      max_chain: run.runStats.maxChain,
+      critical_escapes: run.runStats.criticalEscapes,
       time_ms: Math.round(runDuration),
-      sprintWin: false,
+      mode: run.mode,
+      completed: false,
+      mode_bonus: 0,
+      boss_clears: run.runStats.bossClears,
+      mutators: run.mutators,
       completedMissions
     });
 
@@ -1390,7 +1660,7 @@ await initApp();
     savePlayerData(playerData);
 
     // STEP 5: Check install triggers - DISABLED FOR NOW
-    // const isNewBest = state.score > best && state.mode === 'endless';
+    // const isNewBest = run.score > playerData.bestScore.endless && run.mode === 'endless';
     // checkPostRunInstallTriggers(playerData, {
     //   isNewBest,
     //   sprintComplete: false
@@ -1398,35 +1668,103 @@ await initApp();
 
     // Log run end
     telemetry.logRunEnd({
-      mode: state.mode,
-      rings: state.score,
+      mode: run.mode,
+      rings: run.score,
       cause: reason,
       time_ms: Math.round(runDuration),
-      max_chain: state.runStats.maxChain,
-      critical_entries: state.runStats.criticalEntries,
-      critical_escapes: state.runStats.criticalEscapes
+      max_chain: run.runStats.maxChain,
+      critical_entries: run.runStats.criticalEntries,
+      critical_escapes: run.runStats.criticalEscapes,
+      pickups_collected: Object.values(run.runStats.pickups).reduce((a, b) => a + b, 0),
+      pickup_shield: run.runStats.pickups.shield,
+      pickup_slowmo: run.runStats.pickups.slowmo,
+      pickup_vent: run.runStats.pickups.vent,
+      pickup_widen: run.runStats.pickups.widen,
+      shield_blocks: run.runStats.shieldBlocks,
+      boss_attempts: run.runStats.bossAttempts,
+      boss_clears: run.runStats.bossClears,
+      mutators: run.mutators.join(',')
     });
   }
 
 
-  function start(){
+  /**
+   * Start a live run
+   * @param {object} [seeded] - { seed, expert } to replay a shared seed's layout
+   */
+  function start(seeded = null){
+    // Live run (mode from global currentMode), recorded for replay
+    // Editor test runs play the level being edited instead of the selected one
+    const modeConfig = getModeConfig(currentMode);
+    const level = editorTest ? editorTest.level : modeConfig.usesLevel ? currentLevel : null;
+    if (modeConfig.usesLevel && !level) {
+      console.warn('[Levels] No level selected');
+      return;
+    }
     setLayoutConstants();
-    resetGame();
+
+    const runExpert = seeded ? seeded.expert : expert;
+    const setup = {
+      mode: currentMode,
+      seed: seeded ? seeded.seed : createRunSeed(),
+      dailyPattern: !modeConfig.usesDailyPattern ? null : archiveDay ? archiveDay.pattern : dailyPattern,
+      level,
+      expert: runExpert,
+      difficulty: modeConfig.getDifficulty(runExpert, level),
+      abParams,
+      options: getRunOptions(currentMode),
+      // Seed codes don't carry mutators, so a seeded run (shared code or party turn)
+      // plays without them to get the layout the code was made from
+      mutators: editorTest || seeded ? [] : getSelectedMutators()
+    };
+    resetGame(setup);
+    // Rewinds can't be replayed, nor can a versus match's two players; party turns
+    // aren't kept in the owner's replays
+    recording = modeConfig.practice || match || party ? null : startRecording(setup);
+    playback = null;
+    startGhost();
+    startPractice();
+    clearPause(true);
+
     running = true;
     renderEnabled = true; // render gameplay only after click
     darkOverlay.style.opacity = '0';
     centerMsg.style.display = 'none';
     lastT = performance.now();
 
+    // Editor test runs skip missions and telemetry
+    if (editorTest) return;
+
+    // Practice runs are logged apart from real runs and skip missions
+    if (rewindBuffer) {
+      telemetry.log('practice_start', { mode: run.mode, expert: run.expert, obstacles: run.options.obstacles });
+      return;
+    }
+
+    // Party turns are logged per party (party_start/party_end) and skip missions
+    if (party) return;
+
+    // Archive Dailies don't count for today's Daily missions
+    if (archiveDay) {
+      telemetry.log('daily_archive_start', { date: archiveDay.dateId, expert: run.expert });
+      return;
+    }
+
+    // Versus matches are logged apart from runs and skip missions
+    if (match) {
+      telemetry.log('versus_start', { players: match.players.length, expert: run.expert });
+      return;
+    }
+
     // PHASE 2: Show mission panel during gameplay
     showMissionPanel();
 
     // PHASE 2: Log run start with current mode
-    telemetry.logRunStart(state.mode);
+    telemetry.logRunStart(run.mode);
 
     // PHASE 2: Update mission progress for mode participation
-    modesPlayedThisSession.add(state.mode);
-    const startMissions = updateMissionProgress(playerData.missions.active, 'run_start', { mode: state.mode });
+    modesPlayedThisSession.add(run.mode);
+    const startMissions = updateMissionProgress(playerData.missions.active, 'run_start', { mode: run.mode });
 
     // Track modes played
     if (modesPlayedThisSession.size >= 3) {
@@ -1444,6 +1782,10 @@ await initApp();
   }
 
   btnStart.addEventListener('click', () => {
+    if (party) {
+      startPartyTurn();
+      return;
+    }
     document.querySelector('.title').textContent = 'Perfect Orbit';
     document.querySelector('.subtitle').innerHTML =
       `Watch the gaps align. <b>Tap</b> to reverse orbit direction.<br/>
@@ -1452,428 +1794,1634 @@ await initApp();
     start();
   });
 
-  // ======= INPUT =======
-  function onTap(){
-    if(!running) return;
+  // ======= REPLAYS =======
+  const replayBadge = document.getElementById('replayBadge');
+  const replayRow = document.getElementById('replayRow');
+  const btnWatchReplay = document.getElementById('btnWatchReplay');
+  const btnPinReplay = document.getElementById('btnPinReplay');
 
-    state.ballDir *= -1;
+  /**
+   * One-line description of a replay's outcome
+   */
+  function describeReplay(replay) {
+    const modeLabel = getModeConfig(replay.mode).label;
+    const label = replay.level ? `${modeLabel}: ${escapeLevelText(replay.level.name)}` : modeLabel;
+    const result = replay.result || { rings: 0, time_ms: 0 };
+    const seconds = (result.time_ms / 1000).toFixed(1);
+    const expertTag = replay.expert ? ' · Expert' : '';
+    const mutatorTag = replay.mutators && replay.mutators.length > 0 ? ` · ${getMutatorLabels(replay.mutators).join(', ')}` : '';
+    const dayTag = replay.dailyPattern ? ` · ${formatDayLabel(replay.dailyPattern.dateId)}` : '';
+    return `${label}${dayTag}${expertTag}${mutatorTag} · <b>${result.rings}</b> rings · ${seconds}s`;
+  }
 
-    // PHASE 1: Pressure system with spam detection
-    const now = performance.now();
-    const TAP_WINDOW = 1000; // 1 second window for spam detection
+  /**
+   * Store the live run's recording once it has ended
+   */
+  function saveLiveReplay(cause) {
+    if (!recording) return;
 
-    // Clean old taps outside window
-    state.tapsInWindow = state.tapsInWindow.filter(t => now - t < TAP_WINDOW);
-    state.tapsInWindow.push(now);
+    finishRecording(recording, {
+      rings: run.score,
+      cause,
+      time_ms: Math.round(getRunDuration(run))
+    });
+    saveReplay(playerData, recording);
+    lastReplayId = recording.id;
 
-    // Calculate spam multiplier (more taps = more pressure)
-    const tapsInLastSecond = state.tapsInWindow.length;
-    let spamMultiplier = 1.0;
-    if(tapsInLastSecond > 3) {
-      spamMultiplier = 1 + (tapsInLastSecond - 3) * 0.3; // +30% per tap over 3
+    // Debug: check the recording re-simulates to the same result
+    if (isDebugEnabled()) {
+      const verification = verifyReplay(recording);
+      console.log(`[Replay] Verification ${verification.valid ? 'passed' : 'FAILED'}:`, verification);
     }
+    recording = null;
 
-    // Add pressure (tap-based)
-    const baseTapPressure = abParams.pressureTapRate;
-    state.pressure = clamp(state.pressure + baseTapPressure * spamMultiplier, 0, 1);
-    setPressureUI();
+    updateReplayRow();
+  }
 
-    state.shake = Math.min(12, state.shake + 6);
-    state.lastTapTime = now;
+  function updateReplayRow() {
+    const replay = lastReplayId ? getReplay(playerData, lastReplayId) : null;
+    updateSeedRow(replay);
+    if (!replay) {
+      replayRow.style.display = 'none';
+      return;
+    }
+
+    replayRow.style.display = 'flex';
+    btnPinReplay.textContent = isReplayPinned(playerData, replay.id) ? 'Pinned ✓' : 'Pin Replay';
   }
 
-  addEventListener('pointerdown', (e) => {
-    const t = e.target;
-    if(t && t.classList && t.classList.contains('pill')) return;
-    onTap();
-  }, {passive:true});
+  /**
+   * Play a stored replay through the game loop (no stats, missions or XP)
+   */
+  function watchReplay(replay) {
+    if (!replay || running) return;
 
-  addEventListener('keydown', (e) => {
-    if(e.code === 'Space' || e.code === 'Enter') onTap();
-  });
+    setLayoutConstants();
+    resetGame(replay);
+    playback = createPlayback(replay);
+    lastReplayId = replay.id;
+    ghost = null;
+    ghostRecorder = null;
+    splitStat.style.display = 'none';
+    clearPause(true);
 
-  // ======= STEP =======
-  function step(dt){
-    ensureWindow();
+    running = true;
+    renderEnabled = true;
+    darkOverlay.style.opacity = '0';
+    centerMsg.style.display = 'none';
+    document.getElementById('runSummary').style.display = 'none';
+    replayBadge.classList.add('show');
+    lastT = performance.now();
+
+    console.log(`[Replay] Watching ${replay.id} (${replay.mode}, ${replay.taps.length} taps)`);
+  }
 
-    // PHASE 1: Pressure system
-    // 1. Time-based pressure increase
-    state.pressure = clamp(state.pressure + abParams.pressureTimeRate * dt, 0, 1);
+  function finishPlayback() {
+    const replay = playback.replay;
+    running = false;
+    playback = null;
+    clearPause(false);
+    replayBadge.classList.remove('show');
+    darkOverlay.style.opacity = '0.7';
+    centerMsg.style.display = 'block';
+    criticalMsg.style.opacity = '0';
+    bossBanner.classList.remove('show');
 
-    // 2. Natural pressure decay (slower than old heat)
-    const pressureDecay = expert ? 0.08 : 0.06;
-    state.pressure = clamp(state.pressure - pressureDecay * dt, 0, 1);
+    const seconds = (getRunDuration(run) / 1000).toFixed(1);
+    document.querySelector('.title').textContent = 'Replay Finished';
+    document.querySelector('.subtitle').innerHTML =
+      `${getModeConfig(replay.mode).label}: <b>${run.score}</b> rings in <b>${seconds}s</b>.<br/>Tap <b>Start</b> to play.`;
 
-    // 3. Critical Orbit logic
-    if(!state.criticalActive && state.pressure >= abParams.criticalThreshold){
-      // Enter critical orbit
-      state.criticalActive = true;
-      state.criticalStartTime = performance.now();
-      state.runStats.criticalEntries++;
+    updateReplayRow();
+  }
 
-      // Visual feedback
-      state.shake = Math.min(20, state.shake + 12);
-      criticalMsg.style.opacity = '1';
-      console.log('[Critical] CRITICAL ORBIT ENTERED!');
+  btnWatchReplay.addEventListener('click', () => {
+    watchReplay(getReplay(playerData, lastReplayId));
+  });
 
-      // Onboarding hint: first critical entry
-      showHint('first_critical');
+  btnPinReplay.addEventListener('click', () => {
+    if (isReplayPinned(playerData, lastReplayId)) {
+      unpinReplay(playerData, lastReplayId);
+    } else {
+      pinReplay(playerData, lastReplayId);
     }
+    updateReplayRow();
+  });
 
-    if(state.criticalActive){
-      // Update elapsed time in critical
-      state.criticalElapsed = (performance.now() - state.criticalStartTime) / 1000;
+  // ======= SEED CODES =======
+  const seedRow = document.getElementById('seedRow');
+  const elSeedCode = document.getElementById('seedCode');
+  const btnCopySeed = document.getElementById('btnCopySeed');
 
-      // Check critical timeout (fail condition)
-      if(state.criticalElapsed >= state.criticalWindow){
-        criticalMsg.style.opacity = '0';
-        endGame('pressure_fail');
-        return;
-      }
+  // Seed shown on the summary: the last run's (or the replay just watched)
+  let shownSeed = null;
+
+  function updateSeedRow(replay) {
+    // A seed code doesn't carry mutators, so mutated runs can't be shared by seed
+    if (!replay || !isSeedableMode(replay.mode) || (replay.mutators && replay.mutators.length > 0)) {
+      shownSeed = null;
+      seedRow.style.display = 'none';
+      return;
     }
 
-    setPressureUI();
+    shownSeed = { mode: replay.mode, expert: replay.expert, seed: replay.seed };
+    elSeedCode.textContent = formatSeedCode(replay.mode, replay.expert, replay.seed);
+    btnCopySeed.textContent = 'Copy';
+    seedRow.style.display = 'flex';
+  }
 
-    // Orbit speed (IMPORTANT CHANGE):
-    // Pressure HIGH => ball SLOW. Pressure LOW => ball FAST.
-    const baseSpeed = expert ? BALL_SPEED_BASE_EXPERT : BALL_SPEED_BASE_NORMAL;
-    const speedIncrease = expert ? BALL_SPEED_INCREASE_EXPERT : BALL_SPEED_INCREASE_NORMAL;
-    const baseFast = Math.min(baseSpeed + state.score * speedIncrease, BALL_SPEED_MAX);
-    const slowFactor = lerp(1.00, 0.45, state.pressure); // 0 pressure => 1x, 1 pressure => 0.45x
-    state.orbitSpeed = baseFast * slowFactor;
-
-    // Rotate rings (freeze during multi-ring animation)
-    if(state.pendingEscapes.length === 0){
-      for(const r of state.rings.values()){
-        const drift = (Math.random()-0.5) * r.drift;
-        r.gapCenter = (r.gapCenter + (r.rotSpeed + drift)*dt) % (Math.PI*2);
-      }
+  /**
+   * Start a run on a seed's layout (switches to the seed's mode)
+   */
+  function playSeed(seeded) {
+    if (running) return;
+    if (currentMode !== seeded.mode) selectMode(seeded.mode);
+    console.log(`[Seeds] Playing ${formatSeedCode(seeded.mode, seeded.expert, seeded.seed)}`);
+    start(seeded);
+  }
+
+  btnCopySeed.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(elSeedCode.textContent);
+      btnCopySeed.textContent = 'Copied ✓';
+    } catch (e) {
+      console.warn('[Seeds] Clipboard unavailable:', e);
     }
+  });
 
-    // Ball angle
-    state.ballAngle = (state.ballAngle + state.ballDir * state.orbitSpeed * dt) % (Math.PI*2);
+  document.getElementById('btnPlaySeed').addEventListener('click', () => {
+    if (shownSeed) playSeed(shownSeed);
+  });
 
-    // Multi-ring escape animation
-    if(state.pendingEscapes.length > 0){
-      state.escapeTweenProgress = clamp(state.escapeTweenProgress + dt / state.escapeTweenDuration, 0, 1);
+  document.getElementById('btnEnterSeed').addEventListener('click', () => {
+    const text = prompt('Enter a seed code (e.g. E-3F9K-2QA):');
+    if (!text) return;
 
-      // Interpolate ball radius
-      const startR = screenRadiusForIndex(state.escaped);
-      const endR = screenRadiusForIndex(state.escapeTargetEscaped);
-      state.ballTweenRadius = lerp(startR, endR, state.escapeTweenProgress);
+    const seeded = parseSeedCode(text);
+    if (!seeded) {
+      alert(`"${text.trim()}" is not a valid seed code.`);
+      return;
+    }
+    telemetry.log('seed_entered', { mode: seeded.mode, expert: seeded.expert });
+    playSeed(seeded);
+  });
 
-      // Update glows
-      for(const [i, glow] of state.ringGlows){
-        glow.fade *= (1 - 1.5 * dt);
-        glow.hueOffset = (glow.hueOffset + 360 * dt) % 360;
-      }
+  // ======= GHOST (Sprint PB) =======
+  const splitStat = document.getElementById('splitStat');
+  const elSplit = document.getElementById('split');
 
-      // Spawn trail particles during animation using trail configuration
-      if(Math.random() < 0.3){
-        const bx = state.cx + Math.cos(state.ballAngle) * state.ballTweenRadius;
-        const by = state.cy + Math.sin(state.ballAngle) * state.ballTweenRadius;
+  function formatSplit(ms) {
+    const sign = ms > 0 ? '+' : ms < 0 ? '-' : '±';
+    return `${sign}${(Math.abs(ms) / 1000).toFixed(1)}s`;
+  }
+
+  /**
+   * Set up ghost racing for a live run (Sprint only)
+   */
+  function startGhost() {
+    // The PB ghost is the device owner's, so party turns race without one
+    const hasGhost = !!getModeConfig(run.mode).ghost && !party;
+    ghostRecorder = hasGhost ? createGhostRecorder() : null;
+    ghost = hasGhost && isGhostValid(playerData.ghosts[run.mode]) ? playerData.ghosts[run.mode] : null;
+
+    splitStat.style.display = ghost ? 'block' : 'none';
+    elSplit.textContent = '--';
+    elSplit.className = 'value';
+  }
+
+  function updateSplit() {
+    if (!ghost || !ghostRecorder) return;
+
+    const delta = getSplitDelta(ghost, ghostRecorder, getRunDuration(run));
+    const text = delta === null ? '--' : formatSplit(delta);
+    if (elSplit.textContent !== text) {
+      elSplit.textContent = text;
+      elSplit.className = delta === null ? 'value' : delta > 0 ? 'value behind' : 'value ahead';
+    }
+  }
+
+  // ======= CLOCK =======
+  const clockStat = document.getElementById('clockStat');
+  const elClock = document.getElementById('clock');
+
+  /**
+   * Countdown for modes on a clock (mode getTimeLeft hook); hidden for other modes
+   */
+  function updateClock() {
+    const mode = run ? getModeConfig(run.mode) : null;
+    const timed = !!(mode && mode.getTimeLeft);
+    clockStat.style.display = timed ? 'block' : 'none';
+    if (!timed) return;
+
+    const timeLeft = mode.getTimeLeft(run);
+    const text = timeLeft.toFixed(1);
+    if (elClock.textContent !== text) {
+      elClock.textContent = text;
+      elClock.className = timeLeft <= 10 ? 'value low' : 'value';
+    }
+  }
+
+  // ======= PAUSE =======
+  // The simulation only advances in the loop, so a paused run freezes every timer
+  // (time in ring, critical window, run duration). Resuming counts down first.
+  const RESUME_COUNTDOWN = 3; // seconds
+
+  const btnPause = document.getElementById('btnPause');
+  const pauseOverlay = document.getElementById('pauseOverlay');
+  const pauseTitle = document.getElementById('pauseTitle');
+  const btnResume = document.getElementById('btnResume');
+
+  let paused = false;
+  let resumeCountdown = 0; // Seconds left before a resumed run continues (0 = not counting)
+
+  function pauseGame(reason) {
+    if (!running) return;
+
+    // Interrupted again mid-countdown: back to the pause menu
+    const wasPaused = paused;
+    paused = true;
+    resumeCountdown = 0;
+    pauseOverlay.classList.add('show');
+    pauseOverlay.classList.remove('counting');
+    pauseTitle.textContent = 'Paused';
+    if (wasPaused) return;
+
+    darkOverlay.style.opacity = '0.7';
+    btnPause.classList.remove('show');
+    btnRewind.classList.remove('show');
+    criticalMsg.style.opacity = '0';
+    bossBanner.classList.remove('show');
+
+    console.log(`[Pause] Paused (${reason})`);
+    if (!playback) {
+      telemetry.log('run_paused', { mode: run.mode, reason, rings: run.score });
+    }
+  }
+
+  function resumeGame() {
+    if (!paused || resumeCountdown > 0) return;
+
+    resumeCountdown = RESUME_COUNTDOWN;
+    pauseOverlay.classList.add('counting');
+    pauseTitle.textContent = String(RESUME_COUNTDOWN);
+  }
+
+  function updateResumeCountdown(frameDt) {
+    if (resumeCountdown <= 0) return;
+
+    resumeCountdown -= frameDt;
+    if (resumeCountdown > 0) {
+      pauseTitle.textContent = String(Math.ceil(resumeCountdown));
+      return;
+    }
+
+    resumeCountdown = 0;
+    paused = false;
+    pauseOverlay.classList.remove('show', 'counting');
+    darkOverlay.style.opacity = '0';
+    btnPause.classList.add('show');
+    btnRewind.classList.toggle('show', !!rewindBuffer);
+    if (run.criticalActive && !match) criticalMsg.style.opacity = '1';
+    console.log('[Pause] Resumed');
+  }
+
+  /**
+   * Reset pause state when a run starts or ends
+   */
+  function clearPause(showButton) {
+    paused = false;
+    resumeCountdown = 0;
+    pauseOverlay.classList.remove('show', 'counting');
+    btnPause.classList.toggle('show', showButton);
+  }
+
+  btnPause.addEventListener('click', () => pauseGame('button'));
+  btnResume.addEventListener('click', resumeGame);
+
+  // Auto-pause when the game loses focus or the device rotates
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) pauseGame('hidden');
+  });
+  addEventListener('blur', () => pauseGame('blur'));
+  addEventListener('orientationchange', () => pauseGame('orientation'));
+  if (screen.orientation) {
+    screen.orientation.addEventListener('change', () => pauseGame('orientation'));
+  }
+
+  // ======= PRACTICE =======
+  // Practice runs (Zen) can't be lost: a death rewinds REWIND_SECONDS, as does the
+  // rewind button (or R). They end from the pause menu and leave bests, stats,
+  // missions, achievements and replays alone.
+  const btnRewind = document.getElementById('btnRewind');
+  const btnEndPractice = document.getElementById('btnEndPractice');
+  btnRewind.textContent = `⟲ ${REWIND_SECONDS}s`;
+
+  /**
+   * Set up rewinding for a live run (practice modes only)
+   */
+  function startPractice() {
+    const practice = !!getModeConfig(run.mode).practice;
+    rewindBuffer = practice ? createRewindBuffer() : null;
+    practiceStats = practice ? { rewinds: 0, fails: 0 } : null;
+    if (rewindBuffer) recordRewindPoint(rewindBuffer, run);
+
+    btnRewind.classList.toggle('show', practice);
+    btnEndPractice.style.display = practice ? '' : 'none';
+  }
+
+  function rewindPractice(reason) {
+    if (!running || paused || !rewindBuffer) return;
+    if (!rewindRun(rewindBuffer, run)) return;
+
+    practiceStats.rewinds++;
+    state.particles.length = 0;
+    state.scorePops.length = 0;
+    state.ringGlows.clear();
+    state.shake = Math.min(12, state.shake + 6);
+    WINDOW.focus = run.escaped;
+
+    elScore.textContent = String(run.score);
+    elChain.textContent = 'x' + String(run.chain);
+    updatePowerupHud();
+    console.log(`[Practice] Rewound to ${run.time.toFixed(1)}s (${reason})`);
+  }
+
+  function onPracticeFail(ev){
+    practiceStats.fails++;
+    rewindPractice(ev.reason);
+    state.shake = Math.min(20, state.shake + 12);
+  }
+
+  /**
+   * End screen for a practice run
+   */
+  function finishPractice(reason) {
+    document.querySelector('.title').textContent = 'Practice Over';
+    document.querySelector('.subtitle').innerHTML =
+      `You escaped <b>${run.score}</b> rings with <b>${practiceStats.rewinds}</b> rewinds.<br/>` +
+      `Tap <b>Start</b> to practice again.`;
+    document.getElementById('runSummary').style.display = 'none';
+
+    telemetry.log('practice_end', {
+      mode: run.mode,
+      rings: run.score,
+      reason,
+      time_ms: Math.round(getRunDuration(run)),
+      max_chain: run.runStats.maxChain,
+      rewinds: practiceStats.rewinds,
+      fails: practiceStats.fails,
+      obstacles: run.options.obstacles
+    });
+
+    rewindBuffer = null;
+    practiceStats = null;
+    btnRewind.classList.remove('show');
+    btnEndPractice.style.display = 'none';
+  }
+
+  btnRewind.addEventListener('click', () => rewindPractice('button'));
+  btnEndPractice.addEventListener('click', () => endGame('practice_end'));
+
+  // ======= DAILY ARCHIVE =======
+  // Calendar of recent Daily Orbits with the player's result for each day (see
+  // js/dailyArchive.js). A past day is played again from its regenerated pattern as
+  // practice: it's kept as a replay but leaves streaks, missions, bests, stats, XP
+  // and the day's stored result alone.
+  const archivePanel = document.getElementById('archivePanel');
+  const archiveCalendar = document.getElementById('archiveCalendar');
+  const archiveStreak = document.getElementById('archiveStreak');
+  const btnDayReset = document.getElementById('btnDayReset');
+  const WEEKDAY_LABELS = ['M', 'T', 'W', 'T', 'F', 'S', 'S'];
+  const DAY_RESET_LABELS = { local: 'Local midnight', utc: 'Midnight UTC' };
+
+  function openArchive() {
+    if (running) return;
+    renderArchive();
+    archivePanel.classList.add('show');
+  }
+
+  function closeArchive() {
+    archivePanel.classList.remove('show');
+  }
+
+  function renderArchive() {
+    // Streak and streak freezes (see js/streaks.js)
+    const stats = playerData.stats;
+    let streakText = `Streak: ${stats.dailyStreak} day${stats.dailyStreak === 1 ? '' : 's'} · ` +
+      `Streak freezes: ${stats.streakFreezes}/${MAX_STREAK_FREEZES}`;
+    if (stats.streakFreezes < MAX_STREAK_FREEZES) {
+      streakText += ` (${stats.freezeProgress}/${FREEZE_EARN_CLEARS} Daily clears to the next)`;
+    }
+    if (stats.lastFreezeDate && stats.lastFreezeDate === stats.lastDailyDate) {
+      streakText += ' · A freeze saved your streak today!';
+    }
+    archiveStreak.textContent = streakText;
+    btnDayReset.textContent = `New day: ${DAY_RESET_LABELS[playerData.settings.dayReset]}`;
+
+    archiveCalendar.innerHTML = '';
+    for (const label of WEEKDAY_LABELS) {
+      const head = document.createElement('div');
+      head.className = 'archiveWeekday';
+      head.textContent = label;
+      archiveCalendar.appendChild(head);
+    }
+
+    // "Today" is the Daily that Start plays
+    const days = getArchiveDays(playerData, dailyPattern.dateId);
+    for (let k = 0; k < days[0].weekday; k++) {
+      archiveCalendar.appendChild(document.createElement('div'));
+    }
+
+    for (const day of days) {
+      const cell = document.createElement('button');
+      cell.className = 'archiveDay';
+      cell.classList.toggle('today', day.today);
+      cell.classList.toggle('played', !!day.result);
+      cell.classList.toggle('completed', !!day.result && day.result.completed);
+      cell.title = day.today ? "Play today's Daily Orbit" : `Replay the ${day.label} Daily Orbit as practice`;
+
+      const date = document.createElement('div');
+      date.className = 'archiveDate';
+      date.textContent = day.today ? 'Today' : day.label;
+      const result = document.createElement('div');
+      result.className = 'archiveResult';
+      result.textContent = day.result ? formatDailyResult(day.result) : '–';
+
+      cell.append(date, result);
+      cell.addEventListener('click', () => playArchiveDay(day));
+      archiveCalendar.appendChild(cell);
+    }
+  }
+
+  /**
+   * Play a calendar day (today: the normal Daily; a past day: an archive run)
+   */
+  function playArchiveDay(day) {
+    closeArchive();
+    if (currentMode !== 'daily') selectMode('daily');
+
+    archiveDay = day.today ? null : { dateId: day.dateId, pattern: buildDailyPattern(day.dateId) };
+    if (archiveDay) console.log(`[Archive] Playing the ${day.dateId} Daily Orbit`);
+    start();
+  }
+
+  /**
+   * End screen for an archive run, next to what the player managed on the day
+   */
+  function finishArchiveRun(reason) {
+    const completed = reason === 'complete';
+    const runDuration = getRunDuration(run);
+    const label = formatDayLabel(archiveDay.dateId);
+    const result = getDailyResult(playerData, archiveDay.dateId);
+
+    document.querySelector('.title').textContent = completed ? 'Archive Daily Complete!' : 'Archive Run Over';
+    document.querySelector('.subtitle').innerHTML =
+      `${label} Daily Orbit: <b>${run.score}</b> rings in <b>${(runDuration / 1000).toFixed(1)}s</b>.<br/>` +
+      `Your result on the day: <b>${formatDailyResult(result)}</b><br/>` +
+      `Archive runs are practice and don't count for streaks, missions or bests.`;
+    document.getElementById('runSummary').style.display = 'none';
+
+    telemetry.log('daily_archive_end', {
+      date: archiveDay.dateId,
+      rings: run.score,
+      completed,
+      reason,
+      time_ms: Math.round(runDuration)
+    });
+    archiveDay = null;
+  }
+
+  // A reset that puts today past the current day starts it right away; one that
+  // moves today back waits for the day to catch up
+  btnDayReset.addEventListener('click', () => {
+    const k = DAY_RESETS.indexOf(playerData.settings.dayReset);
+    playerData.settings.dayReset = DAY_RESETS[(k + 1) % DAY_RESETS.length];
+    savePlayerData(playerData);
+    console.log(`[Archive] New day starts at: ${playerData.settings.dayReset}`);
+    renderArchive();
+    rollover.check();
+  });
+
+  document.getElementById('btnArchive').addEventListener('click', openArchive);
+  document.getElementById('archiveClose').addEventListener('click', closeArchive);
+
+  // ======= DAY ROLLOVER =======
+  // The day can change while the game stays open (see js/rollover.js): the streak
+  // and missions move on, and the Daily switches to the new day's pattern. A run in
+  // progress finishes on the old day first.
+  async function rollOverDay({ deferred }) {
+    const todayId = getTodayId(playerData.settings.dayReset);
+    startNewDay(todayId);
+
+    // Pick up dailies published since launch
+    await loadDailySeeds();
+    dailyPattern = getDailyPattern(getVersion(), todayId);
+
+    updateMissionDisplay();
+    updateModeOptions();
+    if (archivePanel.classList.contains('show')) renderArchive();
+    showToast('New day: fresh missions and a new Daily Orbit');
+
+    console.log(`[Rollover] Switched to ${todayId}${deferred ? ' (after the run)' : ''}`);
+    telemetry.log('day_rollover', { date: todayId, deferred });
+  }
+
+  const rollover = startRolloverScheduler({
+    getReset: () => playerData.settings.dayReset,
+    isNewDay: () => isNewDay(playerData, getTodayId(playerData.settings.dayReset)),
+    canRollOver: () => !running,
+    onNewDay: rollOverDay
+  });
+
+  // ======= PASS & PLAY =======
+  // Local multiplayer: named players take turns on one seed, with a scoreboard
+  // between turns and a final ranking. Turns are played like normal runs but leave
+  // playerData alone (no bests, stats, missions, XP, achievements, ghosts or replays).
+  const partyPanel = document.getElementById('partyPanel');
+  const partyModes = document.getElementById('partyModes');
+  const partyPlayers = document.getElementById('partyPlayers');
+  const btnPartyAdd = document.getElementById('partyAddPlayer');
+  const btnQuitParty = document.getElementById('btnQuitParty');
+
+  // Lobby choices (kept for the session)
+  let partyMode = 'endless';
+  let partyNames = ['', ''];
+
+  function openPartyLobby() {
+    if (running) return;
+    if (isPartyMode(currentMode)) partyMode = currentMode;
+    renderPartyLobby();
+    partyPanel.classList.add('show');
+  }
+
+  function closePartyLobby() {
+    partyPanel.classList.remove('show');
+  }
+
+  function renderPartyLobby() {
+    partyModes.innerHTML = '';
+    for (const mode of Object.values(MODES)) {
+      if (!isPartyMode(mode.id)) continue;
+      const button = document.createElement('button');
+      button.className = 'pill';
+      button.classList.toggle('good', mode.id === partyMode);
+      button.textContent = mode.label;
+      button.addEventListener('click', () => {
+        partyMode = mode.id;
+        renderPartyLobby();
+      });
+      partyModes.appendChild(button);
+    }
+
+    partyPlayers.innerHTML = '';
+    partyNames.forEach((name, k) => {
+      const row = document.createElement('div');
+      row.className = 'partyPlayer';
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.maxLength = 16;
+      input.placeholder = `Player ${k + 1}`;
+      input.value = name;
+      input.addEventListener('input', () => { partyNames[k] = input.value; });
+      row.appendChild(input);
+
+      if (partyNames.length > PARTY_MIN_PLAYERS) {
+        const remove = document.createElement('button');
+        remove.className = 'editorBtn';
+        remove.textContent = '×';
+        remove.title = 'Remove player';
+        remove.addEventListener('click', () => {
+          partyNames.splice(k, 1);
+          renderPartyLobby();
+        });
+        row.appendChild(remove);
+      }
+      partyPlayers.appendChild(row);
+    });
+
+    btnPartyAdd.disabled = partyNames.length >= PARTY_MAX_PLAYERS;
+  }
+
+  function startParty() {
+    closePartyLobby();
+    if (currentMode !== partyMode) selectMode(partyMode);
+
+    party = createParty(partyNames, partyMode, expert, createRunSeed());
+    document.body.classList.add('party');
+    btnQuitParty.style.display = '';
+    console.log(`[Party] Started ${partyMode} with ${party.players.length} players`);
+    telemetry.log('party_start', { mode: party.mode, players: party.players.length, expert: party.expert });
+    showPartyBoard(null);
+  }
+
+  /**
+   * Play the next player's turn (after the final ranking: a rematch on a new seed)
+   */
+  function startPartyTurn() {
+    if (isPartyOver(party)) {
+      party = restartParty(party, createRunSeed());
+      console.log('[Party] Rematch');
+    }
+    console.log(`[Party] ${getCurrentPlayer(party).name}'s turn`);
+    start({ seed: party.seed, expert: party.expert });
+  }
+
+  function finishPartyTurn(reason) {
+    const player = getCurrentPlayer(party);
+    recordTurn(party, {
+      rings: run.score,
+      time_ms: getRunDuration(run),
+      completed: reason === 'complete'
+    });
+    showPartyBoard(player);
+
+    if (isPartyOver(party)) {
+      telemetry.log('party_end', { mode: party.mode, players: party.players.length, finished: true });
+    }
+  }
+
+  /**
+   * Scoreboard between turns, or the final ranking once everyone has played
+   * @param {object} [lastPlayer] - Player whose turn just ended
+   */
+  function showPartyBoard(lastPlayer) {
+    const over = isPartyOver(party);
+    const next = getCurrentPlayer(party);
+    document.getElementById('runSummary').style.display = 'none';
+    document.querySelector('.title').textContent = over ? 'Final Ranking' : `Pass to ${next.name}`;
+
+    const subtitle = document.querySelector('.subtitle');
+    subtitle.innerHTML = '';
+    const intro = document.createElement('div');
+    intro.textContent = lastPlayer
+      ? `${lastPlayer.name}: ${formatPartyResult(party, lastPlayer.result)}`
+      : `${getModeConfig(party.mode).label}${party.expert ? ' · Expert' : ''} · everyone plays the same rings`;
+    subtitle.appendChild(intro);
+
+    const board = document.createElement('ol');
+    board.className = 'partyBoard';
+    for (const standing of getStandings(party)) {
+      const row = document.createElement('li');
+      row.classList.toggle('winner', over && standing.rank === 1);
+      row.textContent = `${standing.rank}. ${standing.name} — ${formatPartyResult(party, standing.result)}`;
+      board.appendChild(row);
+    }
+    for (const player of party.players.slice(party.turn)) {
+      const row = document.createElement('li');
+      row.className = 'waiting';
+      row.textContent = `${player.name} — waiting`;
+      board.appendChild(row);
+    }
+    subtitle.appendChild(board);
+
+    btnStart.textContent = over ? 'Rematch' : `Start ${next.name}'s turn`;
+    btnQuitParty.textContent = over ? 'Done' : 'Quit Party';
+  }
+
+  function endParty() {
+    if (!party) return;
+    if (!isPartyOver(party)) {
+      telemetry.log('party_end', { mode: party.mode, players: party.players.length, finished: false });
+    }
+    console.log('[Party] Ended');
+    party = null;
+    document.body.classList.remove('party');
+    btnQuitParty.style.display = 'none';
+    btnStart.textContent = 'Start';
+    document.querySelector('.title').textContent = 'Perfect Orbit';
+    document.querySelector('.subtitle').innerHTML = 'Tap <b>Start</b> to play.';
+  }
+
+  document.getElementById('btnParty').addEventListener('click', openPartyLobby);
+  document.getElementById('partyClose').addEventListener('click', closePartyLobby);
+  document.getElementById('partyStart').addEventListener('click', startParty);
+  btnPartyAdd.addEventListener('click', () => {
+    if (partyNames.length >= PARTY_MAX_PLAYERS) return;
+    partyNames.push('');
+    renderPartyLobby();
+  });
+  btnQuitParty.addEventListener('click', endParty);
+
+  // ======= VERSUS =======
+  // Same-screen versus: both balls share one ring stack (sim.js createMatch). Each
+  // player reverses their own ball with a key or their half of the screen, and has
+  // their own HUD panel (rings, pressure, Critical Orbit). Matches leave bests,
+  // stats, missions, XP and replays alone.
+  const VERSUS_KEYS = [
+    { code: 'KeyA', label: 'A' },
+    { code: 'KeyL', label: 'L' }
+  ];
+  const VERSUS_COLORS = ['#4FC3F7', '#FFB74D'];
+  const VERSUS_MIN_ZOOM = 0.4; // Furthest the camera zooms out as the balls spread
+
+  const versusHud = document.getElementById('versusHud');
+  const versusPanels = VERSUS_KEYS.map((key, k) => {
+    const panel = document.createElement('div');
+    panel.className = 'versusPanel';
+    panel.style.color = VERSUS_COLORS[k];
+    panel.innerHTML = `
+      <div class="label">Player ${k + 1} · <b>${key.label}</b> / ${k === 0 ? 'left' : 'right'} side</div>
+      <div class="value">0</div>
+      <div class="meter"><div class="fill"></div></div>
+      <div class="versusStatus"></div>`;
+    versusHud.appendChild(panel);
+    return {
+      panel,
+      score: panel.querySelector('.value'),
+      fill: panel.querySelector('.fill'),
+      status: panel.querySelector('.versusStatus')
+    };
+  });
+
+  function onVersusTap(player){
+    if(!running || paused || !match) return;
+    const ball = match.players[player];
+    if(ball.over) return;
+
+    tapRun(ball);
+    state.shake = Math.min(12, state.shake + 4);
+  }
+
+  /**
+   * Advance the match one tick and react to each player's events
+   */
+  function stepVersus(){
+    const { events, over } = stepMatch(match);
+    events.forEach((list, k) => {
+      const ball = match.players[k];
+      for(const ev of list){
+        if(ev.type === 'escape'){
+          if(ev.count > 1) flashGood();
+          state.shake = Math.min(18, state.shake + 6 + ev.count * 2);
+        } else if(ev.type === 'escape_land'){
+          onEscapeLand(ball);
+        } else if(ev.type === 'critical_enter'){
+          state.shake = Math.min(20, state.shake + 10);
+        } else if(ev.type === 'pickup'){
+          onPickup(ev, ball);
+        } else if(ev.type === 'shield_break'){
+          onShieldBreak(ball);
+        } else if(ev.type === 'end' && ev.reason !== 'match_over'){
+          // Knocked out
+          const sr = ballScreenRadius(ball);
+          const angle = renderBallAngle(ball);
+          addParticles(state.cx + Math.cos(angle)*sr, state.cy + Math.sin(angle)*sr, 40, 3.5, false);
+          state.shake = Math.min(30, state.shake + 18);
+          console.log(`[Versus] Player ${k + 1} out (${ev.reason}) on ${ball.score} rings`);
+        }
+      }
+    });
+
+    if(over) finishVersus();
+  }
+
+  function updateVersusHud(){
+    // The split HUD replaces the single-player one (styles.css body.versus)
+    document.body.classList.toggle('versus', !!match);
+    if(!match) return;
+
+    match.players.forEach((ball, k) => {
+      const hud = versusPanels[k];
+      const text = `${ball.score} / ${VERSUS_TARGET}`;
+      if(hud.score.textContent !== text) hud.score.textContent = text;
+
+      hud.fill.style.width = Math.round(ball.pressure * 100) + '%';
+      hud.fill.style.background = heatColor(ball.criticalActive ? 1 : ball.pressure);
+      hud.panel.classList.toggle('critical', ball.criticalActive && !ball.over);
+
+      const status = ball.over && ball.endReason !== 'match_over' && !ball.completed ? 'OUT'
+        : ball.criticalActive ? 'CRITICAL ORBIT' : '';
+      if(hud.status.textContent !== status) hud.status.textContent = status;
+    });
+  }
+
+  // Why a player's ball was knocked out, for the winner screen
+  const VERSUS_OUT_LABELS = {
+    pressure_fail: 'failed a Critical Orbit',
+    obstacle: 'hit an obstacle',
+    time: 'ran out of time'
+  };
+
+  /**
+   * Winner screen once the match is decided
+   */
+  function finishVersus(){
+    running = false;
+    clearPause(false);
+    darkOverlay.style.opacity = '0.7';
+    centerMsg.style.display = 'block';
+    criticalMsg.style.opacity = '0';
+    document.getElementById('runSummary').style.display = 'none';
+    updateVersusHud();
+
+    const winner = match.winner;
+    const lines = match.players.map((ball, k) => {
+      const out = ball.endReason !== 'match_over' && !ball.completed;
+      const note = ball.completed ? ' — reached the goal!' : out ? ` — ${VERSUS_OUT_LABELS[ball.endReason] || 'out'}` : '';
+      return `<span style="color:${VERSUS_COLORS[k]}">Player ${k + 1}</span>: <b>${ball.score}</b> rings${note}`;
+    });
+
+    document.querySelector('.title').textContent = winner === null ? "It's a Draw!" : `Player ${winner + 1} Wins!`;
+    document.querySelector('.subtitle').innerHTML =
+      `${lines.join('<br/>')}<br/>Tap <b>Start</b> for a rematch.`;
+
+    const duration = Math.round(match.time * 1000);
+    console.log(`[Versus] Match over: ${winner === null ? 'draw' : `player ${winner + 1} wins`} (${(duration / 1000).toFixed(1)}s)`);
+    telemetry.log('versus_end', {
+      winner: winner === null ? 0 : winner + 1,
+      rings_p1: match.players[0].score,
+      rings_p2: match.players[1].score,
+      time_ms: duration,
+      expert: run.expert
+    });
+  }
+
+  // ======= LEVEL EDITOR =======
+  // Builds custom levels on the game canvas: the level is shown as a paused run at
+  // time 0 (drawn by draw()) with the selected ring as the ball's ring, and the
+  // markers on that ring can be dragged. Test runs skip replays, stats and XP.
+  const editorPanel = document.getElementById('editorPanel');
+  const editorFile = document.getElementById('editorFile');
+  const editorStatus = document.getElementById('editorStatus');
+  const editorRingLabel = document.getElementById('editorRingLabel');
+  const editorInputs = {
+    name: document.getElementById('editorName'),
+    id: document.getElementById('editorId'),
+    description: document.getElementById('editorDesc'),
+    target: document.getElementById('editorTarget'),
+    levelTime: document.getElementById('editorLevelTime'),
+    gapCenter: document.getElementById('editorGapCenter'),
+    gapWidth: document.getElementById('editorGapWidth'),
+    speed: document.getElementById('editorSpeed'),
+    direction: document.getElementById('editorDirection'),
+    ringTime: document.getElementById('editorRingTime'),
+    shape: document.getElementById('editorShape'),
+    obstacle: document.getElementById('editorObstacle'),
+    pickup: document.getElementById('editorPickup')
+  };
+
+  const EDITOR_GRAB_DISTANCE = 0.35; // How close (radians) a press must be to grab a marker
+
+  const EDITOR_END_LABELS = {
+    time: 'out of time',
+    obstacle: 'hit an obstacle',
+    burn: 'burned up',
+    pressure_fail: 'pressure overload',
+    editor_stop: 'stopped'
+  };
+
+  let editorOpen = false;
+  let editorLevel = null; // Level being edited (normalized, see levels.js)
+  let editorRing = 0;     // Selected ring index
+  let editorDrag = null;  // Marker being dragged: { kind }
+  let editorTest = null;  // Test run in progress: { from, level }
+
+  function toDegrees(rad){ return Math.round(rad * 180 / Math.PI); }
+  function toRadians(deg){ return deg * Math.PI / 180; }
+
+  // Number field value (null when empty or not a number)
+  function readNumber(input) {
+    const v = parseFloat(input.value);
+    return Number.isFinite(v) ? v : null;
+  }
+
+  function fillTypeSelect(select, slot) {
+    select.innerHTML = '';
+    for (const typeId of ['', ...Object.keys(EDITOR_DEFAULTS[slot])]) {
+      const option = document.createElement('option');
+      option.value = typeId;
+      option.textContent = !typeId ? 'None' : slot === 'pickup' ? getPowerupInfo(typeId).label : typeId;
+      select.appendChild(option);
+    }
+  }
+  fillTypeSelect(editorInputs.shape, 'shape');
+  fillTypeSelect(editorInputs.obstacle, 'obstacle');
+  fillTypeSelect(editorInputs.pickup, 'pickup');
+
+  function setEditorStatus(text) {
+    editorStatus.textContent = text;
+  }
+
+  /**
+   * Open the editor on the saved draft (or a copy of the selected level)
+   */
+  function openEditor() {
+    if (running || playback) return;
+    const draft = playerData.editorDraft && normalizeLevel(playerData.editorDraft).level;
+    editorLevel = draft || (currentLevel ? structuredClone(currentLevel) : createBlankLevel());
+    editorRing = 0;
+    showEditor();
+    setEditorStatus('');
+    console.log(`[Editor] Editing ${editorLevel.id}`);
+  }
+
+  function showEditor() {
+    editorOpen = true;
+    editorPanel.classList.add('show');
+    document.body.classList.add('editing');
+    darkOverlay.style.opacity = '0';
+    refreshEditor();
+  }
+
+  function closeEditor() {
+    editorOpen = false;
+    editorDrag = null;
+    editorPanel.classList.remove('show');
+    document.body.classList.remove('editing');
+    centerMsg.style.display = 'block';
+    renderEnabled = false;
+  }
+
+  /**
+   * Apply an edit to the level (saved as the draft unless a drag is still going)
+   */
+  function setEditorLevel(level, save = true) {
+    editorLevel = level;
+    editorRing = clamp(editorRing, 0, level.rings.length - 1);
+    refreshEditor();
+    if (save) saveEditorDraft();
+  }
+
+  function saveEditorDraft() {
+    playerData.editorDraft = editorLevel;
+    savePlayerData(playerData);
+  }
+
+  function selectEditorRing(i) {
+    editorRing = clamp(i, 0, editorLevel.rings.length - 1);
+    refreshEditor();
+  }
+
+  // Fields and preview from the current level and ring
+  function refreshEditor() {
+    const level = editorLevel;
+    const ring = level.rings[editorRing];
+
+    editorInputs.name.value = level.name;
+    editorInputs.id.value = level.id;
+    editorInputs.description.value = level.description;
+    editorInputs.target.value = level.target;
+    editorInputs.target.max = level.rings.length;
+    editorInputs.levelTime.value = level.timeLimit ?? '';
+
+    editorRingLabel.textContent = `Ring ${editorRing + 1} / ${level.rings.length}`;
+    editorInputs.gapCenter.value = toDegrees(ring.gapCenter);
+    editorInputs.gapWidth.value = ring.gapWidth === null ? '' : toDegrees(ring.gapWidth);
+    editorInputs.speed.value = ring.speed;
+    editorInputs.direction.value = String(ring.direction);
+    editorInputs.ringTime.value = ring.timeLimit ?? '';
+    editorInputs.shape.value = ring.shape ? ring.shape.type : '';
+    editorInputs.obstacle.value = ring.obstacle ? ring.obstacle.type : '';
+    editorInputs.pickup.value = ring.pickup ? ring.pickup.type : '';
+
+    buildEditorPreview();
+  }
+
+  // Preview run: the level at time 0, centered in the space the panel leaves free
+  function buildEditorPreview() {
+    setLayoutConstants();
+    const rect = editorPanel.getBoundingClientRect();
+    if (rect.left > W / 2) {
+      state.cx = rect.left / 2;
+      state.cy = H / 2;
+    } else {
+      state.cx = W / 2;
+      state.cy = rect.top / 2;
+    }
+
+    run = createRun({
+      mode: 'custom',
+      level: editorLevel,
+      expert,
+      difficulty: getLevelDifficulty(editorLevel, expert),
+      abParams
+    });
+    run.escaped = editorRing;
+    ensureWindow(run);
+
+    // Rings past the end wrap around in play; the editor only shows the level's own
+    for (const i of [...run.rings.keys()]) {
+      if (i >= editorLevel.rings.length) run.rings.delete(i);
+    }
+
+    WINDOW.focus = editorRing;
+    renderAlpha = 1;
+    ghost = null;
+    state.shake = 0;
+    state.particles.length = 0;
+    state.scorePops.length = 0;
+    state.ringGlows.clear();
+    renderEnabled = true;
+  }
+
+  // Selected ring outline and its drag markers (drawn over the preview)
+  function drawEditorOverlay() {
+    const ring = editorLevel.rings[editorRing];
+    const sr = screenRadiusForIndex(editorRing);
+    const cx = state.cx;
+    const cy = state.cy;
+
+    ctx.strokeStyle = COL_GOOD;
+    ctx.globalAlpha = 0.5;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.arc(cx, cy, sr + state.baseThickness, 0, Math.PI*2);
+    ctx.stroke();
+
+    for (const handle of getDragHandles(ring)) {
+      let hr = sr;
+      let color = COL_GOOD;
+      if (handle.kind === 'obstacle') {
+        hr = sr - state.gapPx * 0.375;
+        color = '#FFFFFF';
+      } else if (handle.kind === 'pickup') {
+        hr = sr * 0.94;
+        color = getPowerupInfo(ring.pickup.type).color;
+      }
+
+      ctx.strokeStyle = color;
+      ctx.globalAlpha = editorDrag && editorDrag.kind === handle.kind ? 1 : 0.75;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(cx + Math.cos(handle.angle) * hr, cy + Math.sin(handle.angle) * hr, state.ballRadius * 1.8, 0, Math.PI*2);
+      ctx.stroke();
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  // Ring index and angle under a pointer
+  function editorPointerTarget(e) {
+    const dx = e.clientX - state.cx;
+    const dy = e.clientY - state.cy;
+    return {
+      ring: Math.round((Math.hypot(dx, dy) - state.R_inner) / state.gapPx + WINDOW.focus),
+      angle: Math.atan2(dy, dx)
+    };
+  }
+
+  canvas.addEventListener('pointerdown', (e) => {
+    if (!editorOpen) return;
+    const target = editorPointerTarget(e);
+
+    // Another ring: select it
+    if (target.ring !== editorRing) {
+      if (target.ring >= 0 && target.ring < editorLevel.rings.length) selectEditorRing(target.ring);
+      return;
+    }
+
+    const handle = findDragHandle(editorLevel.rings[editorRing], target.angle, EDITOR_GRAB_DISTANCE);
+    if (!handle) return;
+    editorDrag = { kind: handle.kind };
+    canvas.setPointerCapture(e.pointerId);
+  });
+
+  canvas.addEventListener('pointermove', (e) => {
+    if (!editorDrag) return;
+    const { angle } = editorPointerTarget(e);
+    setEditorLevel(dragHandle(editorLevel, editorRing, editorDrag.kind, angle), false);
+  });
+
+  function endEditorDrag() {
+    if (!editorDrag) return;
+    editorDrag = null;
+    saveEditorDraft();
+  }
+  canvas.addEventListener('pointerup', endEditorDrag);
+  canvas.addEventListener('pointercancel', endEditorDrag);
+
+  addEventListener('resize', () => {
+    if (editorOpen) buildEditorPreview();
+  }, { passive: true });
+
+  // Level fields
+  editorInputs.name.addEventListener('change', () => {
+    setEditorLevel(updateLevel(editorLevel, { name: editorInputs.name.value.trim() || editorLevel.id }));
+  });
+  editorInputs.id.addEventListener('change', () => {
+    const id = editorInputs.id.value.trim();
+    if (id) setEditorLevel(updateLevel(editorLevel, { id }));
+    else refreshEditor();
+  });
+  editorInputs.description.addEventListener('change', () => {
+    setEditorLevel(updateLevel(editorLevel, { description: editorInputs.description.value.trim() }));
+  });
+  editorInputs.target.addEventListener('change', () => {
+    const target = readNumber(editorInputs.target);
+    if (target !== null) setEditorLevel(updateLevel(editorLevel, { target: Math.round(target) }));
+    else refreshEditor();
+  });
+  editorInputs.levelTime.addEventListener('change', () => {
+    const timeLimit = readNumber(editorInputs.levelTime);
+    setEditorLevel(updateLevel(editorLevel, { timeLimit: timeLimit > 0 ? timeLimit : null }));
+  });
+
+  // Ring fields
+  editorInputs.gapCenter.addEventListener('change', () => {
+    const deg = readNumber(editorInputs.gapCenter);
+    if (deg !== null) setEditorLevel(dragHandle(editorLevel, editorRing, 'gap', toRadians(deg)));
+    else refreshEditor();
+  });
+  editorInputs.gapWidth.addEventListener('change', () => {
+    const deg = readNumber(editorInputs.gapWidth);
+    setEditorLevel(updateRing(editorLevel, editorRing, { gapWidth: deg > 0 ? toRadians(deg) : null }));
+  });
+  editorInputs.speed.addEventListener('change', () => {
+    const speed = readNumber(editorInputs.speed);
+    setEditorLevel(updateRing(editorLevel, editorRing, { speed: Math.max(0, speed ?? 0) }));
+  });
+  editorInputs.direction.addEventListener('change', () => {
+    setEditorLevel(updateRing(editorLevel, editorRing, { direction: Number(editorInputs.direction.value) }));
+  });
+  editorInputs.ringTime.addEventListener('change', () => {
+    const timeLimit = readNumber(editorInputs.ringTime);
+    setEditorLevel(updateRing(editorLevel, editorRing, { timeLimit: timeLimit > 0 ? timeLimit : null }));
+  });
+  for (const slot of ['shape', 'obstacle', 'pickup']) {
+    editorInputs[slot].addEventListener('change', () => {
+      setEditorLevel(setRingAttachment(editorLevel, editorRing, slot, editorInputs[slot].value || null));
+    });
+  }
+
+  // Ring list
+  document.getElementById('editorPrev').addEventListener('click', () => selectEditorRing(editorRing - 1));
+  document.getElementById('editorNext').addEventListener('click', () => selectEditorRing(editorRing + 1));
+  document.getElementById('editorAdd').addEventListener('click', () => {
+    const level = insertRing(editorLevel, editorRing);
+    editorRing++;
+    setEditorLevel(level);
+  });
+  document.getElementById('editorRemove').addEventListener('click', () => {
+    setEditorLevel(removeRing(editorLevel, editorRing));
+  });
+
+  // Files
+  document.getElementById('editorNew').addEventListener('click', () => {
+    if (!confirm('Discard this level and start a new one?')) return;
+    editorRing = 0;
+    setEditorLevel(createBlankLevel());
+    setEditorStatus('');
+  });
+
+  document.getElementById('editorImport').addEventListener('click', () => editorFile.click());
+
+  editorFile.addEventListener('change', async () => {
+    const file = editorFile.files[0];
+    editorFile.value = '';
+    if (!file) return;
+
+    const { level, errors } = levelFromJson(await file.text());
+    if (!level) {
+      alert(`Could not load ${file.name}:\n- ${errors.join('\n- ')}`);
+      return;
+    }
+    editorRing = 0;
+    setEditorLevel(level);
+    setEditorStatus(`Imported ${file.name}`);
+    console.log(`[Editor] Imported ${level.id} from ${file.name}`);
+  });
+
+  document.getElementById('editorExport').addEventListener('click', () => {
+    const blob = new Blob([levelToJson(editorLevel)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${editorLevel.id}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    setEditorStatus(`Exported ${editorLevel.id}.json`);
+  });
+
+  // Playing
+  function startEditorTest(from) {
+    editorTest = { from, level: sliceLevelFrom(editorLevel, from) };
+    editorOpen = false;
+    editorPanel.classList.remove('show');
+    document.body.classList.remove('editing');
+    console.log(`[Editor] Test run from ring ${from + 1}`);
+    start();
+  }
+
+  /**
+   * Back to the editor after a test run, with the ring the run ended on selected
+   */
+  function finishEditorTest(reason) {
+    const reached = editorTest.from + run.escaped;
+    editorTest = null;
+    clearPause(false);
+    criticalMsg.style.opacity = '0';
+    bossBanner.classList.remove('show');
+
+    editorRing = Math.min(reached, editorLevel.rings.length - 1);
+    showEditor();
+    setEditorStatus(reason === 'complete'
+      ? 'Test run: level complete!'
+      : `Test run ended on ring ${editorRing + 1} (${EDITOR_END_LABELS[reason] || reason})`);
+  }
+
+  document.getElementById('editorTestHere').addEventListener('click', () => startEditorTest(editorRing));
+  document.getElementById('editorTestStart').addEventListener('click', () => startEditorTest(0));
+
+  document.getElementById('editorUse').addEventListener('click', () => {
+    addCustomLevel(structuredClone(editorLevel));
+    closeEditor();
+    console.log(`[Editor] Added ${editorLevel.id} to Custom`);
+  });
+
+  document.getElementById('editorClose').addEventListener('click', closeEditor);
+  document.getElementById('btnEditLevel').addEventListener('click', openEditor);
+
+  // ======= INPUT =======
+  function onTap(){
+    if(!running || paused) return;
+
+    // Tapping during a replay stops it
+    if(playback){
+      finishPlayback();
+      return;
+    }
+
+    // Direction flip + tap pressure (with spam detection) happen in the simulation
+    if(recording) recordTap(recording, run.tick);
+    tapRun(run);
+    setPressureUI();
+
+    state.shake = Math.min(12, state.shake + 6);
+  }
+
+  addEventListener('pointerdown', (e) => {
+    const t = e.target;
+    if(t && t.classList && t.classList.contains('pill')) return;
+    // Versus: each half of the screen is one player's
+    if(match){
+      onVersusTap(e.clientX < innerWidth / 2 ? 0 : 1);
+      return;
+    }
+    onTap();
+  }, {passive:true});
+
+  addEventListener('keydown', (e) => {
+    // Esc stops an editor test run (and closes the editor)
+    if(e.code === 'Escape' && editorTest && running){
+      endGame('editor_stop');
+      return;
+    }
+    if(e.code === 'Escape' && editorOpen){
+      closeEditor();
+      return;
+    }
+    if(e.code === 'KeyR' && rewindBuffer){
+      rewindPractice('key');
+      return;
+    }
+    if(e.code === 'Escape' || e.code === 'KeyP'){
+      if(paused) resumeGame();
+      else pauseGame('key');
+      return;
+    }
+    if(match){
+      const player = VERSUS_KEYS.findIndex(key => key.code === e.code);
+      if(player >= 0) onVersusTap(player);
+      return;
+    }
+    if(e.code === 'Space' || e.code === 'Enter') onTap();
+  });
 
-        // Use trail config for animation particles too
-        const config = getTrailConfig(playerData.cosmetics.trailId);
-        const particlesPerFrame = Math.ceil(config.count / 15); // Scale down for per-frame spawning
+  // ======= STEP =======
+  // Advance the simulation one fixed tick, then react to its events with UI and missions
+  function step(){
+    if(match){
+      stepVersus();
+      return;
+    }
 
-        for(let i = 0; i < particlesPerFrame; i++){
-          let a = Math.random() * Math.PI * 2;
+    const events = playback ? stepPlayback(run, playback) : stepRun(run);
+
+    for(const ev of events){
+      if(ev.type === 'tap'){
+        // Replayed tap
+        state.shake = Math.min(12, state.shake + 6);
+      } else if(ev.type === 'critical_enter'){
+        onCriticalEnter();
+      } else if(ev.type === 'escape'){
+        onEscape(ev);
+      } else if(ev.type === 'escape_land'){
+        onEscapeLand();
+      } else if(ev.type === 'pickup'){
+        onPickup(ev);
+      } else if(ev.type === 'shield_break'){
+        onShieldBreak();
+      } else if(ev.type === 'boss_start'){
+        onBossStart(ev);
+      } else if(ev.type === 'boss_phase'){
+        state.shake = Math.min(20, state.shake + 8);
+      } else if(ev.type === 'boss_clear'){
+        onBossClear(ev);
+      } else if(ev.type === 'penalty'){
+        onPenalty(ev);
+      } else if(ev.type === 'fail'){
+        onPracticeFail(ev);
+        return;
+      } else if(ev.type === 'end'){
+        if(playback){
+          finishPlayback();
+        } else {
+          endGame(ev.reason);
+        }
+        return;
+      }
+    }
 
-          // Apply upward bias if configured
-          if(config.upwardBias){
-            a += config.upwardBias * Math.PI;
-          }
+    if(ghostRecorder) recordGhostFrame(ghostRecorder, run);
+    if(rewindBuffer) recordRewindPoint(rewindBuffer, run);
 
-          const s = rand(config.speed[0], config.speed[1]);
-          const initialLife = rand(config.life[0], config.life[1]);
+    // PHASE 2: Check for mode completion (Sprint/Daily)
+    if(events.some(ev => ev.type === 'complete')){
+      if(playback){
+        finishPlayback();
+      } else {
+        handleModeCompletion();
+      }
+    }
+  }
 
-          const particle = {
-            x: bx,
-            y: by,
-            vx: Math.cos(a) * s,
-            vy: Math.sin(a) * s,
-            life: initialLife,
-            maxLife: initialLife,
-            r: config.size * rand(config.sizeVar[0], config.sizeVar[1]),
-            friction: config.friction,
-            shape: config.shape
-          };
+  function onCriticalEnter(){
+    // Visual feedback
+    state.shake = Math.min(20, state.shake + 12);
+    criticalMsg.style.opacity = '1';
+    console.log('[Critical] CRITICAL ORBIT ENTERED!');
 
-          // Add special properties
-          if(config.spiral) particle.spiral = true;
-          if(config.glow) particle.glow = true;
-          if(config.stretch) particle.stretch = true;
+    // Onboarding hint: first critical entry
+    if(!playback) showHint('first_critical');
+  }
 
-          state.particles.push(particle);
-        }
-      }
+  function onEscape(ev){
+    const count = ev.count;
 
-      // Complete animation
-      if(state.escapeTweenProgress >= 1){
-        // NOW advance state.escaped to match the target
-        state.escaped = state.escapeTargetEscaped;
-        state.pendingEscapes = [];
-        state.escapeTweenProgress = 0;
-        state.ballTweenRadius = 0;
-
-        // Final burst
-        const sr = screenRadiusForIndex(state.escaped);
-        addParticles(
-          state.cx + Math.cos(state.ballAngle)*sr,
-          state.cy + Math.sin(state.ballAngle)*sr,
-          40,
-          3.5
-        );
-
-        ensureWindow();
-      }
+    if(ev.critical){
+      // Hide critical message
+      criticalMsg.style.opacity = '0';
+
+      // Extra visual feedback for critical escape
+      state.shake = Math.min(30, state.shake + 15);
+      flashGood();
+      console.log('[Critical] ESCAPED! Pressure reset.');
     }
 
-    // Obstacle collision check
-    const currentRing = state.rings.get(state.escaped);
-    if(currentRing && currentRing.hasObstacle){
-      // Triangle size: 75% of gap between rings
-      const triangleSize = state.gapPx * 0.75;
-      const triangleAngleWidth = triangleSize / screenRadiusForIndex(state.escaped);
+    // Missions, achievements and hints only count for live runs (not replays)
+    if(!playback){
+      onLiveEscape(ev);
+    }
 
-      // Obstacle rotates with the ring
-      const obstacleCurrentAngle = currentRing.gapCenter + currentRing.obstacleAngle;
-      const obsDiff = Math.abs(angDiff(state.ballAngle, obstacleCurrentAngle));
-      if(obsDiff <= triangleAngleWidth * 0.5){
-        endGame('obstacle');
-        return;
+    if(count > 1){
+      // Haptic feedback (mobile)
+      if(envInfo.supportsVibration && playerData.settings.hapticEnabled){
+        const vibrateDuration = Math.min(50 * count, 200);
+        navigator.vibrate([vibrateDuration, 30]);
       }
-    }
 
-    // Track time since last escape for chain detection
-    state.timeSinceLastEscape += dt;
+      // Add glows - multi-ring chains ALWAYS glow (they're inherently instant)
+      state.ringGlows.clear();
+      for(const index of ev.indices){
+        state.ringGlows.set(index, {hueOffset: rand(0, 360), fade: 1});
+      }
 
-    // Always increment timeInRing
-    state.timeInRing += dt;
+      // Boost effects
+      state.shake = Math.min(25, state.shake + count * 3);
+      flashGood();
+
+      // UI polish: scale chain display
+      const scaleAmount = 1.2 + Math.min(0.4, count * 0.1);
+      elChain.style.transform = `scale(${scaleAmount})`;
+
+      // Reset after animation completes (300ms base + 50ms per ring)
+      const resetDelay = 300 + count * 50;
+      setTimeout(() => {
+        elChain.style.transform = 'scale(1)';
+      }, resetDelay);
+
+      // Spawn floating "+X" popup
+      const scoreRect = elScore.getBoundingClientRect();
+      state.scorePops.push({
+        x: scoreRect.left + scoreRect.width / 2,
+        y: scoreRect.top + scoreRect.height / 2,
+        val: count,
+        life: 1,
+        vy: -100
+      });
 
-    const timeLimit = Math.max(2.6, state.maxRingTime - state.score*(expert ? 0.08 : 0.06));
-    if(state.timeInRing > timeLimit){
-      endGame('time');
-      return;
+    } else {
+      // Visual reward: glow if quick succession
+      if(ev.quick){
+        state.ringGlows.clear();
+        state.ringGlows.set(ev.indices[0], {hueOffset: rand(0, 360), fade: 1});
+      }
+
+      flashGood();
+      state.shake = Math.min(18, state.shake + 9);
     }
 
-    // Chain timer
-    state.chainTimer = Math.max(0, state.chainTimer - dt);
-    if(state.chainTimer === 0) state.chain = 1;
+    // Update UI
+    elScore.textContent = String(run.score);
+    elChain.textContent = 'x' + String(ev.chain);
+
+    // Update achievement hint
+    updateAchievementHint();
+  }
 
-    // Escape / chain (only skip if animating)
-    if(state.pendingEscapes.length === 0){
-      const timeLimit = Math.max(2.6, state.maxRingTime - state.score*(expert ? 0.08 : 0.06));
+  function onLiveEscape(ev){
+    const count = ev.count;
 
-      // Spatial chain: raycast ahead for aligned rings
-      const maxChainCheck = 6;  // Cap chain length
-      const QUICK_ESCAPE_WINDOW = 0.5;  // Quick succession window for glow rewards (seconds)
+    if(ghostRecorder){
+      recordGhostSplit(ghostRecorder, run.score, getRunDuration(run));
+    }
 
-      let alignedRings = [];
+    // Check for critical escape achievements
+    if(ev.critical){
+      checkMidRunAchievements();
+    }
 
-      // Check current ring and subsequent rings for alignment
-      for(let i = 0; i < maxChainCheck; i++){
-        const ringIndex = state.escaped + i;
-        ensureRing(ringIndex);
-        const r = state.rings.get(ringIndex);
-        if(!r) break;
+    // PHASE 2: Update ring escape mission progress (practice runs and party turns don't count)
+    const escapeMissions = !runCountsForPlayer() ? [] : updateMissionProgress(playerData.missions.active, 'ring_escape', { count });
+    if (escapeMissions.length > 0) {
+      for (const mission of escapeMissions) {
+        showMissionToast(mission);
+      }
+      updateMissionDisplay();
+    }
 
-        const gw = effectiveGapWidth(r);
-        const d = Math.abs(angDiff(state.ballAngle, r.gapCenter));
+    // Onboarding hints
+    if(run.score === 1) {
+      // First escape ever
+      showHint('first_escape');
+    }
+    if(count > 1 && !HINTS.first_chain.shown) {
+      // First chain escape
+      showHint('first_chain');
+    }
 
-        // Check if ball is aligned with this ring's gap (exact alignment required)
-        if(d <= gw / 2){
-          alignedRings.push({index: ringIndex});
-        } else {
-          // First misaligned ring breaks the chain
-          break;
+    if(count > 1){
+      // PHASE 2: Update chain mission progress
+      const chainMissions = !runCountsForPlayer() ? [] : updateMissionProgress(playerData.missions.active, 'chain_reached', { chain: ev.chain });
+      if (chainMissions.length > 0) {
+        for (const mission of chainMissions) {
+          showMissionToast(mission);
         }
+        updateMissionDisplay();
       }
 
-      // Process escapes if any rings are aligned
-      if(alignedRings.length > 0){
-        let pending = alignedRings;
-        let escapedThisFrame = alignedRings.length;
+      // Check for chain achievements
+      checkMidRunAchievements();
+    }
+  }
 
-        // Check if this escape qualifies for quick succession glow BEFORE resetting timer
-        const isQuickSuccession = (state.timeSinceLastEscape <= QUICK_ESCAPE_WINDOW);
+  function onPickup(ev, ball = run){
+    const info = getPowerupInfo(ev.kind);
+    const angle = renderBallAngle(ball);
+    const sr = ballScreenRadius(ball);
+    const x = state.cx + Math.cos(angle)*sr;
+    const y = state.cy + Math.sin(angle)*sr;
 
-        // Update perfect streak based on first ring timing
-        const firstRingFrac = clamp(state.timeInRing / Math.max(0.0001, timeLimit), 0, 1);
-        if(firstRingFrac <= 0.05){
-          state.perfectStreak += 1;
-        } else {
-          state.perfectStreak = 0;
-        }
-        state.bestPerfectStreak = Math.max(state.bestPerfectStreak, state.perfectStreak);
-
-        // PHASE 1: Critical Orbit escape handling
-        if(state.criticalActive){
-          // Critical escape! Full pressure reset + bonus
-          state.pressure = 0;
-          state.criticalActive = false;
-          state.criticalElapsed = 0;
-          state.runStats.criticalEscapes++;
-
-          // Hide critical message
-          criticalMsg.style.opacity = '0';
-
-          // Extra visual feedback for critical escape
-          state.shake = Math.min(30, state.shake + 15);
-          flashGood();
-          console.log('[Critical] ESCAPED! Pressure reset.');
-
-          // Check for critical escape achievements
-          checkMidRunAchievements();
-        } else {
-          // Normal escape: partial pressure reset
-          state.pressure = Math.max(0, state.pressure - abParams.partialResetAmount);
-        }
+    addParticles(x, y, 20, 2.6);
+    state.scorePops.push({
+      x, y: y - 24,
+      val: `${info.icon} ${info.label}`,
+      life: 1.2,
+      vy: -60,
+      color: info.color
+    });
+    flashGood();
+    console.log(`[Powerup] Collected ${ev.kind}`);
+  }
 
-        // Update score immediately, but DON'T advance state.escaped yet (wait for animation)
-        state.score += escapedThisFrame;
-        state.timeInRing = 0;
-        state.timeSinceLastEscape = 0;
-
-        // PHASE 2: Check mode completion
-        const modeConfig = getModeConfig(state.mode);
-        if (modeConfig.finiteTarget && state.score >= modeConfig.finiteTarget) {
-          if (state.mode === 'sprint' && !state.sprintCompleted) {
-            state.sprintCompleted = true;
-            console.log('[Sprint] Completed Sprint 30!');
-            // Will trigger completion screen in next frame
-          } else if (state.mode === 'daily' && !state.dailyCompleted) {
-            state.dailyCompleted = true;
-            console.log('[Daily] Completed Daily Orbit!');
-            // Will trigger completion screen in next frame
-          }
-        }
+  function onShieldBreak(ball = run){
+    const angle = renderBallAngle(ball);
+    const sr = ballScreenRadius(ball);
+    addParticles(state.cx + Math.cos(angle)*sr, state.cy + Math.sin(angle)*sr, 30, 3.0);
+    state.shake = Math.min(25, state.shake + 14);
+    console.log('[Powerup] Shield absorbed an obstacle');
+  }
 
-        // PHASE 2: Update ring escape mission progress
-        const escapeMissions = updateMissionProgress(playerData.missions.active, 'ring_escape', { count: escapedThisFrame });
-        if (escapeMissions.length > 0) {
-          for (const mission of escapeMissions) {
-            showMissionToast(mission);
-          }
-          updateMissionDisplay();
-        }
+  // ======= BOSS RINGS =======
+  const BOSS_COLOR = '#FF4081';
+  const bossBanner = document.getElementById('bossBanner');
+  const bossBannerPhase = document.getElementById('bossBannerPhase');
 
-        // Onboarding hints
-        if(state.score === 1) {
-          // First escape ever
-          showHint('first_escape');
-        }
-        if(pending.length > 1 && !HINTS.first_chain.shown) {
-          // First chain escape
-          showHint('first_chain');
-        }
+  function onBossStart(ev){
+    state.shake = Math.min(25, state.shake + 12);
+    if(envInfo.supportsVibration && playerData.settings.hapticEnabled){
+      navigator.vibrate([40, 40, 40]);
+    }
+    console.log(`[Boss] Boss ring ${ev.ring} started`);
 
-        if(pending.length > 1){
-          // Multi-ring chain: queue animation
-          state.pendingEscapes = pending;
-          state.escapeTweenDuration = (expert ? 0.12 : 0.15) + (pending.length - 1) * 0.05;
-          state.escapeTweenDuration = Math.min(state.escapeTweenDuration, 0.4);
-          state.escapeTweenProgress = 0;
-          state.escapeTargetEscaped = state.escaped + escapedThisFrame;
-          state.ballTweenRadius = screenRadiusForIndex(state.escaped);
-
-          // Haptic feedback (mobile)
-          if(envInfo.supportsVibration && playerData.settings.hapticEnabled){
-            const vibrateDuration = Math.min(50 * pending.length, 200);
-            navigator.vibrate([vibrateDuration, 30]);
-          }
+    if(!playback){
+      telemetry.log('boss_attempt', { mode: run.mode, ring: ev.ring });
+    }
+  }
 
-          // Add glows - multi-ring chains ALWAYS glow (they're inherently instant)
-          // OR if this follows a recent escape (quick succession)
-          state.ringGlows.clear();
-          if(isQuickSuccession || pending.length > 1){
-            for(const p of pending){
-              state.ringGlows.set(p.index, {hueOffset: rand(0, 360), fade: 1});
-            }
-          }
+  function onPenalty(ev){
+    const angle = renderBallAngle();
+    const sr = ballScreenRadius();
+    const x = state.cx + Math.cos(angle)*sr;
+    const y = state.cy + Math.sin(angle)*sr;
 
-          // Boost effects
-          state.shake = Math.min(25, state.shake + pending.length * 3);
-          flashGood();
+    addParticles(x, y, 20, 2.0);
+    state.scorePops.push({ x, y: y - 30, val: `-${ev.seconds}s`, life: 1.2, vy: -60, color: '#FF3B30' });
+    state.shake = Math.min(20, state.shake + 12);
+    criticalMsg.style.opacity = '0';
+    elChain.textContent = 'x1';
+    console.log(`[Mode] Death (${ev.reason}) cost ${ev.seconds}s`);
+  }
 
-          // Chain
-          state.chainTimer = 1.15 * pending.length;
-          state.chain = Math.min(9, state.chain + pending.length);
+  function onBossClear(ev){
+    const angle = renderBallAngle();
+    const sr = ballScreenRadius();
+    const x = state.cx + Math.cos(angle)*sr;
+    const y = state.cy + Math.sin(angle)*sr;
 
-          // Track max chain for stats
-          state.runStats.maxChain = Math.max(state.runStats.maxChain, state.chain);
+    addParticles(x, y, 40, 3.0);
+    state.scorePops.push({ x, y: y - 30, val: 'BOSS CLEARED', life: 1.6, vy: -60, color: BOSS_COLOR });
+    flashGood();
+    console.log(`[Boss] Boss ring ${ev.ring} cleared in ${ev.time.toFixed(1)}s`);
 
-          // PHASE 2: Update chain mission progress
-          const chainMissions = updateMissionProgress(playerData.missions.active, 'chain_reached', { chain: state.chain });
-          if (chainMissions.length > 0) {
-            for (const mission of chainMissions) {
-              showMissionToast(mission);
-            }
-            updateMissionDisplay();
-          }
+    if(!playback){
+      telemetry.log('boss_clear', { mode: run.mode, ring: ev.ring, time_ms: Math.round(ev.time * 1000) });
+    }
+  }
 
-          // Check for chain achievements
-          checkMidRunAchievements();
-
-          // UI polish: scale chain display
-          const scaleAmount = 1.2 + Math.min(0.4, pending.length * 0.1);
-          elChain.style.transform = `scale(${scaleAmount})`;
-
-          // Reset after animation completes (300ms base + 50ms per ring)
-          const resetDelay = 300 + pending.length * 50;
-          setTimeout(() => {
-            elChain.style.transform = 'scale(1)';
-          }, resetDelay);
-
-          // Spawn floating "+X" popup
-          const scoreRect = elScore.getBoundingClientRect();
-          state.scorePops.push({
-            x: scoreRect.left + scoreRect.width / 2,
-            y: scoreRect.top + scoreRect.height / 2,
-            val: pending.length,
-            life: 1,
-            vy: -100
-          });
-
-        } else if(pending.length === 1){
-          // Single escape: use smooth animation
-          state.pendingEscapes = pending;
-          state.escapeTweenDuration = expert ? 0.10 : 0.12;
-          state.escapeTweenProgress = 0;
-          state.escapeTargetEscaped = state.escaped + escapedThisFrame;
-          state.ballTweenRadius = screenRadiusForIndex(state.escaped);
-
-          // Visual reward: glow if quick succession
-          if(isQuickSuccession){
-            state.ringGlows.clear();
-            state.ringGlows.set(pending[0].index, {hueOffset: rand(0, 360), fade: 1});
-          }
+  // Banner while a boss fight is on, with the current phase
+  function updateBossBanner(){
+    bossBanner.classList.toggle('show', !!run.boss);
+    if(run.boss){
+      const phase = getBossPhase(getBossElapsed(run), run.difficulty.boss);
+      if(bossBannerPhase.textContent !== phase.label) bossBannerPhase.textContent = phase.label;
+    }
+  }
+
+  function onEscapeLand(ball = run){
+    // Final burst
+    const sr = screenRadiusForIndex(ball.escaped);
+    addParticles(
+      state.cx + Math.cos(renderBallAngle(ball))*sr,
+      state.cy + Math.sin(renderBallAngle(ball))*sr,
+      40,
+      3.5
+    );
+  }
+
+  // Renderer-side effects: escape glows/trail, particles, popups, shake, camera
+  function updateFx(dt){
+    // Multi-ring escape animation
+    if(run.pendingEscapes.length > 0){
+      // Update glows
+      for(const [i, glow] of state.ringGlows){
+        glow.fade *= (1 - 1.5 * dt);
+        glow.hueOffset = (glow.hueOffset + 360 * dt) % 360;
+      }
 
-          flashGood();
-          state.shake = Math.min(18, state.shake + 9);
+      // Spawn trail particles during animation using trail configuration
+      if(Math.random() < 0.3){
+        const tweenR = ballScreenRadius();
+        const bx = state.cx + Math.cos(renderBallAngle()) * tweenR;
+        const by = state.cy + Math.sin(renderBallAngle()) * tweenR;
 
-          // Chain
-          state.chainTimer = 1.15;
-          state.chain = Math.min(9, state.chain + 1);
+        // Use trail config for animation particles too
+        const config = getTrailConfig(playerData.cosmetics.trailId);
+        const particlesPerFrame = Math.ceil(config.count / 15); // Scale down for per-frame spawning
 
-          // Track max chain for stats
-          state.runStats.maxChain = Math.max(state.runStats.maxChain, state.chain);
+        for(let i = 0; i < particlesPerFrame; i++){
+          let a = Math.random() * Math.PI * 2;
 
-          ensureWindow();
-        }
+          // Apply upward bias if configured
+          if(config.upwardBias){
+            a += config.upwardBias * Math.PI;
+          }
 
-        // Update UI
-        elScore.textContent = String(state.score);
-        elChain.textContent = 'x' + String(state.chain);
+          const s = rand(config.speed[0], config.speed[1]);
+          const initialLife = rand(config.life[0], config.life[1]);
+
+          const particle = {
+            x: bx,
+            y: by,
+            vx: Math.cos(a) * s,
+            vy: Math.sin(a) * s,
+            life: initialLife,
+            maxLife: initialLife,
+            r: config.size * rand(config.sizeVar[0], config.sizeVar[1]),
+            friction: config.friction,
+            shape: config.shape
+          };
+
+          // Add special properties
+          if(config.spiral) particle.spiral = true;
+          if(config.glow) particle.glow = true;
+          if(config.stretch) particle.stretch = true;
 
-        // Update achievement hint
-        updateAchievementHint();
+          state.particles.push(particle);
+        }
       }
     }
 
-    setPressureUI();
-
     // Particles update
     for(let i=state.particles.length-1;i>=0;i--){
       const p = state.particles[i];
@@ -1911,92 +3459,102 @@ await initApp();
     // Shake decay
     state.shake *= (1 - 8*dt);
 
-    // Sliding recentre
+    // Sliding recentre (on the innermost ball in a versus match)
+    const escapedList = getBalls().map(ball => ball.escaped);
+    const focusTarget = Math.min(...escapedList);
     const minDim = Math.min(W,H);
     const safeOuter = minDim * 0.42;
-    const curR = screenRadiusForIndex(state.escaped);
+    const curR = screenRadiusForIndex(focusTarget);
 
     const edgeRatio = curR / Math.max(1, safeOuter);
     const urgency = clamp((edgeRatio - 0.75) / 0.25, 0, 1);
     const followHz = 0.65 + 2.4 * (urgency * urgency);
 
-    WINDOW.focus = easeToward(WINDOW.focus, state.escaped, followHz, dt);
-    ensureWindow();
+    WINDOW.focus = easeToward(WINDOW.focus, focusTarget, followHz, dt);
 
-    // PHASE 2: Check for mode completion (Sprint/Daily)
-    if (state.sprintCompleted || state.dailyCompleted) {
-      handleModeCompletion();
-    }
+    // Versus: zoom out as the balls spread so the leader's rings still fit
+    const spread = Math.max(...escapedList) - focusTarget;
+    const zoomTarget = Math.max(VERSUS_MIN_ZOOM, WINDOW.FUTURE / (WINDOW.FUTURE + spread));
+    state.ringZoom = easeToward(state.ringZoom, zoomTarget, 2, dt);
   }
 
-  // PHASE 2: Handle Sprint/Daily completion
+
+  // PHASE 2: Handle a finite mode's completion (Sprint, Daily, Custom levels)
   async function handleModeCompletion() {
     running = false;
+    if (editorTest) {
+      finishEditorTest('complete');
+      return;
+    }
+    clearPause(false);
+    saveLiveReplay('complete');
     darkOverlay.style.opacity = '0.7';
     centerMsg.style.display = 'block';
     hideMissionPanel(); // Hide mission panel on completion
 
-    const runDuration = performance.now() - state.runStartTime;
-    const timeSeconds = (runDuration / 1000).toFixed(1);
-
-    let headline = 'Victory!';
-    let line1 = '';
-    let tip = 'Tap <b>Start</b> to play again!';
-    let completedMissions = [];
+    if (party) {
+      finishPartyTurn('complete');
+      return;
+    }
 
-    if (state.sprintCompleted) {
-      headline = 'Sprint Complete!';
-      line1 = `You reached <b>30 rings</b> in <b>${timeSeconds}s</b>!`;
+    if (archiveDay) {
+      finishArchiveRun('complete');
+      return;
+    }
 
-      // Update best time for sprint
-      if (!playerData.bestScore.sprint || runDuration < playerData.bestScore.sprint) {
-        playerData.bestScore.sprint = runDuration;
-        line1 += '<br/><b style="color:var(--good)">NEW BEST TIME!</b>';
-      }
+    const mode = getModeConfig(run.mode);
+    const runDuration = getRunDuration(run);
+    const summary = mode.summary(run, runDuration);
+    console.log(`[Mode] Completed ${mode.label}`);
 
-      // Mission progress
-      const sprintMissions = updateMissionProgress(playerData.missions.active, 'sprint_complete', { time_ms: runDuration });
-      if (sprintMissions.length > 0) {
-        completedMissions = sprintMissions;
-        for (const mission of sprintMissions) {
-          showMissionToast(mission);
-        }
-        updateMissionDisplay();
-      }
-    } else if (state.dailyCompleted) {
-      headline = 'Daily Complete!';
-      line1 = `You completed today's Daily Orbit!<br/>Rings: <b>${state.score}</b> | Time: <b>${timeSeconds}s</b>`;
+    let line1 = summary.line + getMutatorLine(run);
+    let tip = 'Tap <b>Start</b> to play again!';
+    let completedMissions = [];
 
-      // Update best for daily
-      if (state.score > playerData.bestScore.daily) {
-        playerData.bestScore.daily = state.score;
+    // Update the mode's best (and the ghost raced next time)
+    if (recordModeBest(runDuration)) {
+      line1 += `<br/><b style="color:var(--good)">${mode.scoreType === 'time' ? 'NEW BEST TIME!' : 'NEW BEST!'}</b>`;
+      if (ghostRecorder) {
+        recordGhostSplit(ghostRecorder, run.score, runDuration);
+        playerData.ghosts[run.mode] = finishGhost(ghostRecorder, runDuration);
+        console.log(`[Ghost] Saved new ${mode.label} ghost (${(runDuration / 1000).toFixed(1)}s)`);
       }
+    } else if (ghost) {
+      line1 += `<br/>${formatSplit(runDuration - ghost.time_ms)} vs PB`;
+    }
+    if (recordDailyRun(runDuration, true)) {
+      line1 += `<br/>Streak freeze earned! (${playerData.stats.streakFreezes}/${MAX_STREAK_FREEZES} held)`;
+    }
 
-      // Mission progress
-      const dailyMissions = updateMissionProgress(playerData.missions.active, 'daily_complete', {});
-      if (dailyMissions.length > 0) {
-        completedMissions = dailyMissions;
-        for (const mission of dailyMissions) {
+    // Mission progress
+    if (summary.event) {
+      completedMissions = updateMissionProgress(playerData.missions.active, summary.event.name, summary.event.params);
+      if (completedMissions.length > 0) {
+        for (const mission of completedMissions) {
           showMissionToast(mission);
         }
         updateMissionDisplay();
       }
     }
 
-    document.querySelector('.title').textContent = headline;
+    document.querySelector('.title').textContent = summary.headline;
     document.querySelector('.subtitle').innerHTML = line1 + '<br/>' + tip;
 
     // Update stats
     playerData.stats.totalRuns++;
-    playerData.stats.totalRings += state.score;
+    playerData.stats.totalRings += run.score;
 
     // STEP 4: Process XP, level-ups, and achievements
     const progressionResult = await processRunCompletion(playerData, {
-      rings: state.score,
-      max_chain: state.runStats.maxChain,
-      critical_escapes: state.runStats.criticalEscapes,
+      rings: run.score,
+      max_chain: run.runStats.maxChain,
+      critical_escapes: run.runStats.criticalEscapes,
       time_ms: Math.round(runDuration),
-      sprintWin: state.sprintCompleted,
+      mode: run.mode,
+      completed: true,
+      mode_bonus: mode.completionXp || 0,
+      boss_clears: run.runStats.bossClears,
+      mutators: run.mutators,
       completedMissions
     });
 
@@ -2009,17 +3567,10 @@ await initApp();
     // Save
     savePlayerData(playerData);
 
-    // STEP 5: Check install triggers for sprint completion - DISABLED FOR NOW
-    // checkPostRunInstallTriggers(playerData, {
-    //   isNewBest: false,
-    //   sprintComplete: state.sprintCompleted
-    // });
-
     // Log completion
-    telemetry.log(state.sprintCompleted ? 'sprint_complete' : 'daily_complete', {
-      time_ms: Math.round(runDuration),
-      rings: state.score
-    });
+    if (summary.event) {
+      telemetry.log(summary.event.name, summary.event.params);
+    }
   }
 
   // ======= DRAW =======
@@ -2039,131 +3590,275 @@ await initApp();
     const cx = state.cx + ox;
     const cy = state.cy + oy;
 
-    ensureWindow();
-
-    const start = Math.max(0, state.escaped - WINDOW.PAST);
-    const end   = state.escaped + WINDOW.FUTURE;
+    const balls = getBalls();
+    const innermost = Math.min(...balls.map(ball => ball.escaped));
+    const start = Math.max(0, innermost - WINDOW.PAST);
+    const end   = Math.max(...balls.map(ball => ball.escaped)) + WINDOW.FUTURE;
 
     ctx.lineCap = 'round';
 
+    // Simulated time matching the interpolated ring positions
+    const renderTime = run.time - (1 - renderAlpha) * SIM_DT;
+
+    // Mirrored mutator: flip the playfield (text stays readable)
+    ctx.save();
+    if (run.rules.mirrored) {
+      ctx.translate(2 * state.cx, 0);
+      ctx.scale(-1, 1);
+    }
+
     // Rainbow glows (for perfect multi-ring escapes)
     for(const [i, glow] of state.ringGlows){
-      const r = state.rings.get(i);
+      const r = run.rings.get(i);
       if(!r) continue;
 
       const sr = screenRadiusForIndex(i);
       if(sr < 8) continue;
 
-      const gw = effectiveGapWidth(r);
-
       ctx.strokeStyle = getThemeGlowColor(glow.hueOffset);
       ctx.globalAlpha = glow.fade * 0.8;
       ctx.lineWidth = state.baseThickness * 1.8;
 
-      ctx.beginPath();
-      ctx.arc(cx, cy, sr, r.gapCenter - gw/2, r.gapCenter + gw/2, false);
-      ctx.stroke();
+      for(const gap of getRingGaps(run, r, renderGapCenter(r), renderTime)){
+        ctx.beginPath();
+        ctx.arc(cx, cy, sr, gap.center - gap.width/2, gap.center + gap.width/2, false);
+        ctx.stroke();
+      }
     }
     ctx.globalAlpha = 1;
 
     // Rings
     for(let i=start;i<=end;i++){
-      const r = state.rings.get(i);
+      const r = run.rings.get(i);
       if(!r) continue;
 
-      const gw = effectiveGapWidth(r);
-      const startGap = r.gapCenter - gw/2;
-      const endGap   = r.gapCenter + gw/2;
+      const gaps = getRingGaps(run, r, renderGapCenter(r), renderTime);
 
       const sr = screenRadiusForIndex(i);
 
+      const origin = fadeOrigin(i);
       let alpha = 0.85;
-      if(i < state.escaped){
-        const age = state.escaped - i;
+      if(i < origin){
+        const age = origin - i;
         alpha = clamp(0.34 - (age-1)*0.12, 0.10, 0.34);
-      } else if(i === state.escaped){
+      } else if(i === origin){
         alpha = 0.95;
       } else {
-        const ahead = i - state.escaped;
+        const ahead = i - origin;
         alpha = clamp(0.88 - (ahead-1)*0.10, 0.40, 0.88);
       }
 
       if(sr < 8) continue;
 
-      ctx.strokeStyle = theme.fg;
+      // Boss rings are thicker and drawn in the boss color
+      const ringThickness = r.boss ? state.baseThickness * 1.6 : state.baseThickness;
+      ctx.strokeStyle = r.boss ? BOSS_COLOR : theme.fg;
       ctx.globalAlpha = alpha;
-      ctx.lineWidth = state.baseThickness;
+      ctx.lineWidth = ringThickness;
 
-      ctx.beginPath();
-      ctx.arc(cx, cy, sr, endGap, startGap + Math.PI*2, false);
-      ctx.stroke();
+      // Solid arcs run from the end of each gap to the start of the next
+      // (gaps come in angle order and never overlap)
+      for(let g=0; g<gaps.length; g++){
+        const gap = gaps[g];
+        const next = gaps[(g + 1) % gaps.length];
+        let arcEnd = next.center - next.width/2;
+        const arcStart = gap.center + gap.width/2;
+        while(arcEnd <= arcStart) arcEnd += Math.PI*2;
+
+        ctx.beginPath();
+        ctx.arc(cx, cy, sr, arcStart, arcEnd, false);
+        ctx.stroke();
+      }
+
+      // Unlit phased gaps: thin bar across the gap (can't escape through it)
+      for(const gap of gaps){
+        if(gap.open) continue;
+        ctx.globalAlpha = alpha * 0.4;
+        ctx.lineWidth = state.baseThickness * 0.5;
+        ctx.beginPath();
+        ctx.arc(cx, cy, sr, gap.center - gap.width/2, gap.center + gap.width/2, false);
+        ctx.stroke();
+        ctx.globalAlpha = alpha;
+        ctx.lineWidth = ringThickness;
+      }
     }
     ctx.globalAlpha = 1;
 
-    // Obstacles (white triangles)
+    // Boss arms (active boss fight only, during phases with arms)
+    if(run.boss){
+      const r = run.rings.get(run.boss.ring);
+      const elapsed = getBossElapsed(run, renderTime);
+      const phase = getBossPhase(elapsed, run.difficulty.boss);
+      const sr = screenRadiusForIndex(run.boss.ring);
+      if(r && phase.arms && run.boss.armsBroken !== phase.id && sr >= 8){
+        ctx.strokeStyle = BOSS_COLOR;
+        ctx.lineWidth = state.baseThickness * 3;
+        for(const arm of getBossArms(r.boss, run.difficulty.boss, elapsed)){
+          ctx.beginPath();
+          ctx.arc(cx, cy, sr * 0.94, arm.angle - arm.width/2, arm.angle + arm.width/2, false);
+          ctx.stroke();
+        }
+      }
+    }
+
+    // Obstacles (white triangles, one per solid arc; outlined while not solid)
     for(let i=start;i<=end;i++){
-      const r = state.rings.get(i);
-      if(!r || !r.hasObstacle) continue;
+      const r = run.rings.get(i);
+      if(!r || !r.obstacle) continue;
 
       const sr = screenRadiusForIndex(i);
       if(sr < 8) continue;
 
+      const origin = fadeOrigin(i);
+      let alpha = 0.9;
+      if(i < origin){
+        const age = origin - i;
+        alpha = clamp(0.34 - (age-1)*0.12, 0.10, 0.34);
+      } else if(i === origin){
+        alpha = 1.0;
+      } else {
+        const ahead = i - origin;
+        alpha = clamp(0.88 - (ahead-1)*0.10, 0.40, 0.88);
+      }
+
       // Triangle size: 75% of gap between rings
       const triangleSize = state.gapPx * 0.75;
 
-      // Triangle points inward from the ring (rotates with ring's gap center)
-      const angle = r.gapCenter + r.obstacleAngle;
-      const outerX = cx + Math.cos(angle) * sr;
-      const outerY = cy + Math.sin(angle) * sr;
-      const innerX = cx + Math.cos(angle) * (sr - triangleSize);
-      const innerY = cy + Math.sin(angle) * (sr - triangleSize);
+      for(const arc of getObstacleArcs(r.obstacle, renderGapCenter(r), renderTime)){
+        // Triangle points inward from the ring
+        const angle = arc.angle;
+        const outerX = cx + Math.cos(angle) * sr;
+        const outerY = cy + Math.sin(angle) * sr;
+        const innerX = cx + Math.cos(angle) * (sr - triangleSize);
+        const innerY = cy + Math.sin(angle) * (sr - triangleSize);
 
-      // Create triangle pointing inward
-      const halfWidth = triangleSize * 0.35; // width of triangle base
-      const perpAngle = angle + Math.PI / 2;
+        // Create triangle pointing inward (base widens with the hit arc)
+        const halfWidth = triangleSize * 0.35 * (arc.width / OBSTACLE_ARC_WIDTH);
+        const perpAngle = angle + Math.PI / 2;
 
-      const baseX1 = outerX + Math.cos(perpAngle) * halfWidth;
-      const baseY1 = outerY + Math.sin(perpAngle) * halfWidth;
-      const baseX2 = outerX - Math.cos(perpAngle) * halfWidth;
-      const baseY2 = outerY - Math.sin(perpAngle) * halfWidth;
+        const baseX1 = outerX + Math.cos(perpAngle) * halfWidth;
+        const baseY1 = outerY + Math.sin(perpAngle) * halfWidth;
+        const baseX2 = outerX - Math.cos(perpAngle) * halfWidth;
+        const baseY2 = outerY - Math.sin(perpAngle) * halfWidth;
 
-      let alpha = 0.9;
-      if(i < state.escaped){
-        const age = state.escaped - i;
-        alpha = clamp(0.34 - (age-1)*0.12, 0.10, 0.34);
-      } else if(i === state.escaped){
-        alpha = 1.0;
-      } else {
-        const ahead = i - state.escaped;
-        alpha = clamp(0.88 - (ahead-1)*0.10, 0.40, 0.88);
+        ctx.beginPath();
+        ctx.moveTo(innerX, innerY); // tip pointing inward
+        ctx.lineTo(baseX1, baseY1); // base corner 1
+        ctx.lineTo(baseX2, baseY2); // base corner 2
+        ctx.closePath();
+
+        if(arc.solid){
+          ctx.fillStyle = '#FFFFFF';
+          ctx.globalAlpha = alpha;
+          ctx.fill();
+        } else {
+          ctx.strokeStyle = '#FFFFFF';
+          ctx.lineWidth = 1.5;
+          ctx.globalAlpha = alpha * 0.45;
+          ctx.stroke();
+        }
       }
+    }
+    ctx.globalAlpha = 1;
 
-      ctx.fillStyle = '#FFFFFF';
-      ctx.globalAlpha = alpha;
+    // Power-up pickups (colored orbs on the ball's path, current ring and ahead)
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for(let i=Math.max(start, innermost);i<=end;i++){
+      const r = run.rings.get(i);
+      if(!r || !r.pickup) continue;
+
+      const sr = screenRadiusForIndex(i) * 0.94;
+      if(sr < 12) continue;
+
+      const info = getPowerupInfo(r.pickup.type);
+      const angle = renderGapCenter(r) + r.pickup.offset;
+      const px = cx + Math.cos(angle) * sr;
+      const py = cy + Math.sin(angle) * sr;
+      const size = state.ballRadius * 1.5;
+
+      const origin = fadeOrigin(i);
+      ctx.globalAlpha = i === origin ? 1.0 : clamp(0.9 - (i - origin - 1)*0.12, 0.4, 0.9);
+      ctx.fillStyle = info.color;
       ctx.beginPath();
-      ctx.moveTo(innerX, innerY); // tip pointing inward
-      ctx.lineTo(baseX1, baseY1); // base corner 1
-      ctx.lineTo(baseX2, baseY2); // base corner 2
-      ctx.closePath();
+      ctx.arc(px, py, size, 0, Math.PI*2);
       ctx.fill();
+
+      ctx.font = `${Math.round(size * 1.2)}px system-ui, -apple-system, sans-serif`;
+      ctx.fillStyle = '#000000';
+      if (run.rules.mirrored) {
+        // Flip the icon back so it reads normally
+        ctx.save();
+        ctx.translate(2 * px, 0);
+        ctx.scale(-1, 1);
+        ctx.fillText(info.icon, px, py + 1);
+        ctx.restore();
+      } else {
+        ctx.fillText(info.icon, px, py + 1);
+      }
     }
     ctx.globalAlpha = 1;
 
-    // Ball (changes color with pressure)
-    const cr = state.rings.get(state.escaped);
-    if(cr){
-      // Use tween radius if animating, otherwise normal radius
-      const baseR = state.ballTweenRadius > 0 ? state.ballTweenRadius : screenRadiusForIndex(state.escaped);
+    // Sprint ghost (PB run), drawn under the ball
+    if(ghost && !playback){
+      const t = getRunDuration(run) + renderAlpha * SIM_DT * 1000;
+      if(t <= ghost.time_ms){
+        const ge = ghostEscapedAt(ghost, t);
+        const gi = Math.floor(ge);
+        const gr = lerp(screenRadiusForIndex(gi), screenRadiusForIndex(gi + 1), ge - gi) * 0.94;
+        if(gr > 8){
+          const ga = ghostAngleAt(ghost, t);
+          ctx.fillStyle = theme.fg;
+          ctx.globalAlpha = 0.3;
+          ctx.beginPath();
+          ctx.arc(cx + Math.cos(ga)*gr, cy + Math.sin(ga)*gr, state.ballRadius, 0, Math.PI*2);
+          ctx.fill();
+          ctx.globalAlpha = 1;
+        }
+      }
+    }
+
+    // Balls (color changes with pressure; versus balls get their player's outline)
+    balls.forEach((ball, k) => {
+      if(!run.rings.get(ball.escaped)) return;
+
+      // A versus player who is out stays where they died, faded
+      const knockedOut = match && ball.over && !ball.completed && ball.endReason !== 'match_over';
+      const ballAlpha = knockedOut ? 0.35 : 1;
+      ctx.globalAlpha = ballAlpha;
+
+      // Tween radius if animating, otherwise normal radius
+      const baseR = ballScreenRadius(ball);
       const rr = baseR * 0.94;
-      const bx = cx + Math.cos(state.ballAngle)*rr;
-      const by = cy + Math.sin(state.ballAngle)*rr;
+      const ballAngle = renderBallAngle(ball);
+      const bx = cx + Math.cos(ballAngle)*rr;
+      const by = cy + Math.sin(ballAngle)*rr;
 
       // PHASE 1: Ball color reflects pressure level
-      ctx.fillStyle = heatColor(state.pressure);
+      ctx.fillStyle = heatColor(ball.pressure);
       ctx.beginPath();
       ctx.arc(bx, by, state.ballRadius, 0, Math.PI*2);
       ctx.fill();
-    }
+
+      if(match){
+        ctx.strokeStyle = VERSUS_COLORS[k];
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(bx, by, state.ballRadius + 3, 0, Math.PI*2);
+        ctx.stroke();
+      }
+
+      // Shield bubble
+      if(ball.powerups.shield){
+        ctx.strokeStyle = getPowerupInfo('shield').color;
+        ctx.lineWidth = 2;
+        ctx.globalAlpha = 0.85 * ballAlpha;
+        ctx.beginPath();
+        ctx.arc(bx, by, state.ballRadius * 1.9, 0, Math.PI*2);
+        ctx.stroke();
+      }
+      ctx.globalAlpha = 1;
+    });
 
     // Particles (green or rainbow) - STEP 4: Apply trail cosmetics
     for(const p of state.particles){
@@ -2239,6 +3934,7 @@ await initApp();
       }
     }
     ctx.globalAlpha = 1;
+    ctx.restore();
 
     // Score popups (floating "+X" text or "+XP")
     ctx.textAlign = 'center';
@@ -2250,6 +3946,10 @@ await initApp();
         // XP popup (from achievements)
         ctx.font = 'bold 20px system-ui, -apple-system, sans-serif';
         ctx.fillStyle = '#FFD700'; // Gold color for XP
+      } else if (pop.color) {
+        // Labelled popup (power-ups)
+        ctx.font = 'bold 18px system-ui, -apple-system, sans-serif';
+        ctx.fillStyle = pop.color;
       } else {
         // Regular score popup
         ctx.font = 'bold 28px system-ui, -apple-system, sans-serif';
@@ -2258,7 +3958,7 @@ await initApp();
 
       ctx.globalAlpha = alpha;
 
-      if (pop.isXP) {
+      if (pop.isXP || pop.color) {
         ctx.fillText(pop.val, pop.x, pop.y);
       } else {
         ctx.fillText(`+${pop.val}`, pop.x, pop.y);
@@ -2266,29 +3966,55 @@ await initApp();
     }
     ctx.globalAlpha = 1;
 
-    // Timer arc (uses theme color)
-    if(running){
-      const timeLimit = Math.max(2.6, state.maxRingTime - state.score*(expert ? 0.08 : 0.06));
-      const t = clamp(state.timeInRing / Math.max(0.0001, timeLimit), 0, 1);
-      const baseR = screenRadiusForIndex(state.escaped) * 0.72;
-
-      if(baseR > 8){
-        ctx.strokeStyle = theme.good;
-        ctx.globalAlpha = 0.32;
-        ctx.lineWidth = 4;
-        ctx.beginPath();
-        ctx.arc(cx, cy, baseR, -Math.PI/2, -Math.PI/2 + t*Math.PI*2);
-        ctx.stroke();
-        ctx.globalAlpha = 1;
-      }
+    // Timer arc (uses theme color, or each versus player's; modes without a ring timer have none)
+    if(running && getModeConfig(run.mode).ringTimer){
+      balls.forEach((ball, k) => {
+        if(ball.over) return;
+        const timeLimit = getTimeLimit(ball);
+        const t = clamp(ball.timeInRing / Math.max(0.0001, timeLimit), 0, 1);
+        const baseR = screenRadiusForIndex(ball.escaped) * (match ? 0.72 - k * 0.06 : 0.72);
+
+        if(baseR > 8){
+          ctx.strokeStyle = match ? VERSUS_COLORS[k] : theme.good;
+          ctx.globalAlpha = 0.32;
+          ctx.lineWidth = 4;
+          ctx.beginPath();
+          ctx.arc(cx, cy, baseR, -Math.PI/2, -Math.PI/2 + t*Math.PI*2);
+          ctx.stroke();
+          ctx.globalAlpha = 1;
+        }
+      });
     }
   }
 
   function loop(t){
-    const dt = Math.min(0.033, (t - lastT)/1000);
+    const frameDt = Math.min(MAX_FRAME_DT, (t - lastT)/1000);
     lastT = t;
-    if(running) step(dt);
+
+    if(running && paused){
+      updateResumeCountdown(frameDt);
+    } else if(running){
+      // Fixed-step simulation: run as many ticks as the frame time covers
+      accumulator += frameDt;
+      while(running && accumulator >= SIM_DT){
+        step();
+        accumulator -= SIM_DT;
+      }
+      renderAlpha = running ? accumulator / SIM_DT : 1;
+
+      if(running){
+        setPressureUI();
+        updatePowerupHud();
+        updateBossBanner();
+        updateFx(frameDt);
+        updateSplit();
+        updateClock();
+        updateVersusHud();
+      }
+    }
+
     draw();
+    if(editorOpen) drawEditorOverlay();
     requestAnimationFrame(loop);
   }
   requestAnimationFrame(loop);
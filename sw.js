@@ -5,7 +5,7 @@
 // These values must match js/version.js
 
 const APP_VERSION = 'pv02.2';
-const BUILD_NUMBER = '003';
+const BUILD_NUMBER = '004';
 const FULL_VERSION = `${APP_VERSION}+build.${BUILD_NUMBER}`;
 const CACHE_NAME = `perfect-orbit-${FULL_VERSION}`;
 
@@ -22,13 +22,46 @@ const PRECACHE_URLS = [
   './js/ab.js',
   './js/telemetry.js',
   './js/modes.js',
+  './js/modes/endless.js',
+  './js/modes/daily.js',
+  './js/modes/sprint.js',
+  './js/modes/custom.js',
+  './js/modes/scoreAttack.js',
+  './js/modes/zen.js',
+  './js/modes/versus.js',
+  './js/dailyArchive.js',
+  './js/dates.js',
+  './js/streaks.js',
+  './js/rollover.js',
+  './js/mutators.js',
+  './js/party.js',
+  './js/random.js',
+  './js/spawn.js',
+  './js/rewind.js',
+  './js/seeds.js',
+  './js/sim.js',
+  './js/rings.js',
+  './js/ringTypes.js',
+  './js/obstacles.js',
+  './js/levels.js',
+  './js/editor.js',
+  './js/boss.js',
+  './js/powerups.js',
+  './js/replays.js',
+  './js/ghost.js',
+  './js/verify.js',
+  './js/difficulty.js',
   './js/missions.js',
   './js/progression.js',
   './js/pwa.js',
   './js/debug.js',
   './config/firebase-config.js',
   './data/missions.json',
-  './data/achievements.json'
+  './data/achievements.json',
+  './data/difficulty.json',
+  './data/levels/index.json',
+  './data/levels/first-orbit.json',
+  './data/levels/gauntlet.json'
   // Note: icons will be cached on demand via runtime cache
   // Note: daily-seeds.json uses network-first strategy (see fetch handler)
 ];
@@ -123,7 +156,7 @@ self.addEventListener('fetch', (event) => {
               console.log('[SW] Using cached daily-seeds.json');
               return cachedResponse;
             }
-            // No cache, return empty JSON (modes.js will use local seed generation)
+            // No cache, return empty JSON (modes/daily.js will use local seed generation)
             console.log('[SW] No cached daily-seeds.json, returning empty object');
             return new Response('{}', {
               headers: { 'Content-Type': 'application/json' }